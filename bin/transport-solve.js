@@ -0,0 +1,10 @@
+#!/usr/bin/env node
+// Solves transportation problem files from the terminal, e.g.
+//   transport-solve data/json/example.json --method potential --format markdown
+// Install the command with `npm link` (or `npm install -g .`) from the
+// repository root, or run it without installing as
+//   node bin/transport-solve.js data/json/example.json
+
+import { runCli } from "../js/cli/cli.js";
+
+process.exitCode = runCli(process.argv.slice(2));
@@ -0,0 +1,62 @@
+// Module for Column Minimum Method algorithm
+
+import { compare, isPositive, min, sub } from "../utils/arithmetic.js";
+
+export class ColumnMinimumMethod {
+  static displayName = "Column Minimum Method";
+
+  constructor(costs, supplies, demands) {
+    this.costs = costs;
+    this.supplies = supplies;
+    this.demands = demands;
+    this.m = supplies.length;
+    this.n = demands.length;
+  }
+
+  /**
+   * Finds the initial plan using the column minimum method.
+   * Columns are processed left to right; each column takes from its
+   * cheapest supplier that still has stock until its demand is satisfied.
+   */
+  findInitialPlan(onStep) {
+    const currentSupplies = [...this.supplies];
+    const currentDemands = [...this.demands];
+    const plan = Array.from({ length: this.m }, () => Array(this.n).fill(null));
+    let step = 1;
+
+    for (let j = 0; j < this.n; j++) {
+      while (isPositive(currentDemands[j])) {
+        let minCost = null;
+        let minRow = -1;
+
+        for (let i = 0; i < this.m; i++) {
+          if (
+            plan[i][j] === null &&
+            isPositive(currentSupplies[i]) &&
+            (minCost === null || compare(this.costs[i][j], minCost) < 0)
+          ) {
+            minCost = this.costs[i][j];
+            minRow = i;
+          }
+        }
+
+        if (minRow === -1) break;
+
+        const shipment = min(currentSupplies[minRow], currentDemands[j]);
+        plan[minRow][j] = shipment;
+        currentSupplies[minRow] = sub(currentSupplies[minRow], shipment);
+        currentDemands[j] = sub(currentDemands[j], shipment);
+
+        onStep(
+          step++,
+          plan.map((row) => [...row]),
+          [...currentSupplies],
+          [...currentDemands],
+          { minRow, minCol: j }
+        );
+      }
+    }
+
+    return plan;
+  }
+}
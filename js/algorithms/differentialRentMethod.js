@@ -1,13 +1,34 @@
+import { createSolutionResult } from "../core/solutionResult.js";
+import {
+  applyBigM,
+  computeBigM,
+  findForbiddenCells,
+  findForbiddenShipments,
+} from "../core/forbiddenRoutes.js";
+import { DEFAULT_MAX_ITERATIONS, SOLUTION_STATUS } from "../constants.js";
+
 const LOCAL_EPSILON = 1e-4;
-const MAX_ITERATIONS = 50;
 
 class TransportData {
-  constructor(costs, supplies, demands) {
+  constructor(costs, supplies, demands, dummy = {}) {
     this.costs = costs.map((row) => [...row]);
     this.supplies = [...supplies];
     this.demands = [...demands];
     this.suppliers = this.supplies.length;
     this.consumers = this.demands.length;
+    // The last row/column is fictitious after balancing
+    this.isSupplyDummy = dummy.isSupplyDummy ?? false;
+    this.isDemandDummy = dummy.isDemandDummy ?? false;
+  }
+
+  supplierLabel(i) {
+    const isDummy = this.isSupplyDummy && i === this.suppliers - 1;
+    return isDummy ? `S${i + 1} (фікт.)` : `S${i + 1}`;
+  }
+
+  consumerLabel(j) {
+    const isDummy = this.isDemandDummy && j === this.consumers - 1;
+    return isDummy ? `Спож ${j + 1} (фікт.)` : `Спож ${j + 1}`;
   }
 
   get totalSupply() {
@@ -24,9 +45,24 @@ class TransportData {
 }
 
 export class DifferentialRentMethod {
-  constructor(costs, supplies, demands, logger) {
+  /**
+   * options.maxIterations limits the number of rent updates,
+   * options.dummyCost is the tariff of a dummy row/column (0 by default)
+   */
+  constructor(costs, supplies, demands, logger, options = {}) {
     this.logger = logger;
-    this.data = new TransportData(costs, supplies, demands);
+    this.maxIterations = options.maxIterations ?? DEFAULT_MAX_ITERATIONS;
+    this.dummyCost = options.dummyCost ?? 0;
+    // Заборонені маршрути отримують великий тариф M
+    this.forbidden = findForbiddenCells(costs);
+    this.bigM = this.forbidden.some((row) => row.includes(true))
+      ? computeBigM(costs, supplies, demands, [this.dummyCost])
+      : null;
+    this.data = new TransportData(
+      this.bigM !== null ? applyBigM(costs, this.bigM) : costs,
+      supplies,
+      demands
+    );
   }
 
   solve() {
@@ -36,79 +72,177 @@ export class DifferentialRentMethod {
     );
     this.logInitialData();
 
-    if (!this.data.isBalanced()) {
-      this.logger.logError(
-        "Перевірка балансу",
-        `Задача незбалансована. Сума запасів: ${this.data.totalSupply.toFixed(
-          1
-        )}, сума потреб: ${this.data.totalDemand.toFixed(1)}.`
+    if (this.bigM !== null) {
+      const routes = [];
+      this.forbidden.forEach((row, i) =>
+        row.forEach((isForbidden, j) => {
+          if (isForbidden) routes.push(`[${i + 1}, ${j + 1}]`);
+        })
+      );
+      this.logger.logStep(
+        "Заборонені маршрути",
+        `Маршрути ${routes.join(", ")} заборонені й отримують тариф M = ${
+          this.bigM
+        }. Якщо оптимальний план усе одно їх використовує, допустимого плану не існує.`
       );
-      return null;
     }
 
-    const solver = new DifferentialRentSolver(this.data, this.logger);
+    if (!this.data.isBalanced()) {
+      this.balance();
+    }
+
+    const solver = new DifferentialRentSolver(
+      this.data,
+      this.logger,
+      this.maxIterations
+    );
     const solution = solver.solve();
 
     if (solution) {
+      const forbiddenShipments = findForbiddenShipments(
+        this.toPlan(solution.allocations),
+        this.forbidden
+      );
+      if (forbiddenShipments.length > 0) {
+        const message = `Допустимого плану без заборонених маршрутів не існує: оптимальний план використовує маршрути ${forbiddenShipments
+          .map(({ row, col }) => `[${row + 1}, ${col + 1}]`)
+          .join(", ")}.`;
+        this.logger.logError("Задача недопустима", message);
+        return this.buildResult(
+          SOLUTION_STATUS.INFEASIBLE,
+          null,
+          solver.rentUpdates,
+          message
+        );
+      }
+
       this.logFinalSolution(solution.allocations, solution.totalCost);
-    } else {
-      this.logger.logError(
-        "Результат",
-        "Не вдалося знайти оптимальний розв'язок методом диференціальних рент."
+      return this.buildResult(
+        SOLUTION_STATUS.OPTIMAL,
+        solution,
+        solver.rentUpdates
       );
     }
 
-    return solution;
+    // Intermediate allocations are infeasible, so there is no plan to report
+    const message =
+      solver.stopMessage ??
+      "Не вдалося знайти оптимальний розв'язок методом диференціальних рент.";
+    this.logger.logError("Результат", message);
+    return this.buildResult(
+      solver.stopStatus,
+      null,
+      solver.rentUpdates,
+      message
+    );
   }
 
-  logInitialData() {
-    const { suppliers, consumers, costs, supplies, demands } = this.data;
-    let html = `<div class="step-table overflow-x-auto"><table class="w-full text-sm border-collapse">
-      <thead><tr class="bg-gray-100">
-        <th class="border p-2"></th>
-        ${Array.from(
-          { length: consumers },
-          (_, j) => `<th class="border p-2">Спож ${j + 1}</th>`
-        ).join("")}
-        <th class="border p-2">Запаси</th>
-      </tr></thead><tbody>`;
-
-    for (let i = 0; i < suppliers; i++) {
-      html += `<tr>
-        <td class="border p-2 font-semibold">S${i + 1}</td>
-        ${Array.from(
-          { length: consumers },
-          (_, j) => `<td class="border p-2">${costs[i][j].toFixed(1)}</td>`
-        ).join("")}
-        <td class="border p-2 font-semibold">${supplies[i].toFixed(1)}</td>
-      </tr>`;
+  /**
+   * Closes an open problem with a dummy supplier or consumer, like
+   * TransportationProblemSolver.checkAndBalance()
+   */
+  balance() {
+    const { suppliers, consumers, totalSupply, totalDemand } = this.data;
+    const diff = Math.abs(totalSupply - totalDemand);
+    const costs = this.data.costs.map((row) => [...row]);
+    const supplies = [...this.data.supplies];
+    const demands = [...this.data.demands];
+    let message;
+
+    if (totalSupply < totalDemand) {
+      costs.push(Array(consumers).fill(this.dummyCost));
+      this.forbidden.push(Array(consumers).fill(false));
+      supplies.push(diff);
+      message = `Запаси (${totalSupply.toFixed(
+        1
+      )}) менші за потреби (${totalDemand.toFixed(
+        1
+      )}). Додаємо фіктивного постачальника S${
+        suppliers + 1
+      } із запасом ${diff.toFixed(1)} і тарифами ${this.dummyCost}.`;
+    } else {
+      costs.forEach((row) => row.push(this.dummyCost));
+      this.forbidden.forEach((row) => row.push(false));
+      demands.push(diff);
+      message = `Запаси (${totalSupply.toFixed(
+        1
+      )}) більші за потреби (${totalDemand.toFixed(
+        1
+      )}). Додаємо фіктивного споживача ${
+        consumers + 1
+      } з потребою ${diff.toFixed(1)} і тарифами ${this.dummyCost}.`;
     }
 
-    html += `<tr class="bg-green-50">
-      <td class="border p-2 font-semibold">Потреби</td>
-      ${Array.from(
-        { length: consumers },
-        (_, j) => `<td class="border p-2">${demands[j].toFixed(1)}</td>`
-      ).join("")}
-      <td class="border p-2 font-semibold">${this.data.totalSupply.toFixed(
+    this.data = new TransportData(costs, supplies, demands, {
+      isSupplyDummy: totalSupply < totalDemand,
+      isDemandDummy: totalSupply > totalDemand,
+    });
+    this.logger.logStep("Балансування", message);
+  }
+
+  buildResult(status, solution, iterations, message = null) {
+    return createSolutionResult({
+      status,
+      message,
+      plan: solution ? this.toPlan(solution.allocations) : null,
+      totalCost: solution ? solution.totalCost : null,
+      costs: this.data.costs.map((row) => [...row]),
+      supplies: [...this.data.supplies],
+      demands: [...this.data.demands],
+      isSupplyDummy: this.data.isSupplyDummy,
+      isDemandDummy: this.data.isDemandDummy,
+      forbidden:
+        this.bigM !== null ? this.forbidden.map((row) => [...row]) : null,
+      bigM: this.bigM,
+      iterations,
+    });
+  }
+
+  /**
+   * Converts a dense allocation matrix to the plan format (null = empty cell)
+   */
+  toPlan(allocation) {
+    return allocation.map((row) =>
+      row.map((value) => (value > LOCAL_EPSILON ? value : null))
+    );
+  }
+
+  logInitialData() {
+    const { suppliers, consumers, costs, supplies, demands } = this.data;
+    const rows = Array.from({ length: suppliers }, (_, i) => [
+      this.data.supplierLabel(i),
+      ...costs[i].map((cost) => cost.toFixed(1)),
+      supplies[i].toFixed(1),
+    ]);
+    rows.push([
+      "Потреби",
+      ...demands.map((demand) => demand.toFixed(1)),
+      `${this.data.totalSupply.toFixed(1)} / ${this.data.totalDemand.toFixed(
         1
-      )} / ${this.data.totalDemand.toFixed(1)}</td>
-    </tr></tbody></table></div>`;
+      )}`,
+    ]);
 
     const balanceText = this.data.isBalanced()
       ? "Задача збалансована."
       : "Задача незбалансована!";
 
-    this.logger.addSection(
+    this.logger.logSummaryTable(
       "Вихідні дані",
-      `<p class="text-gray-600 mb-4">${balanceText}</p>${html}`
+      balanceText,
+      [
+        "",
+        ...Array.from({ length: consumers }, (_, j) =>
+          this.data.consumerLabel(j)
+        ),
+        "Запаси",
+      ],
+      rows,
+      [suppliers]
     );
   }
 
   logFinalSolution(allocation, totalCost) {
-    const plan = allocation.map((row) =>
-      row.map((value) => (value > LOCAL_EPSILON ? value : null))
-    );
+    const plan = this.toPlan(allocation);
 
     this.logger.logSuccess(
       `Знайдено оптимальний план перевезень методом диференціальних рент.`
@@ -119,29 +253,43 @@ export class DifferentialRentMethod {
       this.data.costs,
       this.data.supplies,
       this.data.demands,
-      totalCost
+      totalCost,
+      this.data.isSupplyDummy,
+      this.data.isDemandDummy
     );
   }
 }
 
 class DifferentialRentSolver {
-  constructor(data, logger) {
+  constructor(data, logger, maxIterations) {
     this.data = data;
     this.logger = logger;
+    this.maxIterations = maxIterations;
     this.currentCosts = data.costs.map((row) => [...row]);
     this.iterationNumber = 0;
+    // Rent steps made so far (a zero rent only circles more cells), reported
+    // as the iterations of the run
+    this.rentUpdates = 0;
+    // Why solve() returned null: status and message for the result
+    this.stopStatus = SOLUTION_STATUS.FAILED;
+    this.stopMessage = null;
   }
 
   solve() {
     let iteration = 1;
+    // Tariffs and allocation of every iteration; a repeat means cycling
+    const seenStates = new Map();
 
-    while (iteration <= MAX_ITERATIONS) {
+    // Every rent update counts against the limit; the allocation after the
+    // last allowed update is still checked
+    for (;;) {
       this.iterationNumber = iteration;
       
       this.logger.logHeader(
         `Ітерація ${iteration}`,
         "Побудова умовно оптимального розподілу"
       );
+      this.logger.logProgress("Differential rents", iteration);
 
       const allocation = this.buildConditionalOptimalAllocation();
       this.logIterationTable(allocation);
@@ -164,6 +312,19 @@ class DifferentialRentSolver {
         };
       }
 
+      const state = this.stateSignature(allocation);
+      if (seenStates.has(state)) {
+        this.stopStatus = SOLUTION_STATUS.CYCLING;
+        this.stopMessage = `Тарифи та розподіл ітерації ${seenStates.get(
+          state
+        )} повторилися на ітерації ${iteration}: метод зациклився і не може покращити план.`;
+        this.logger.logError("Зациклення", this.stopMessage);
+        return null;
+      }
+      seenStates.set(state, iteration);
+
+      if (this.rentUpdates >= this.maxIterations) break;
+
       const { surplus, deficit } = this.determineRowTypes(allocation);
       this.printRowTypes(surplus, deficit);
 
@@ -192,16 +353,35 @@ class DifferentialRentSolver {
         this.updateCosts(deficit, minRent);
       }
 
+      this.rentUpdates++;
       iteration++;
     }
 
-    this.logger.logError(
-      "Обмеження ітерацій",
-      "Досягнуто максимальну кількість ітерацій без знаходження допустимого плану."
-    );
+    this.stopStatus = SOLUTION_STATUS.ITERATION_LIMIT;
+    this.stopMessage = `Досягнуто обмеження в ${this.maxIterations} ітерацій без знаходження допустимого плану. Збільште обмеження, щоб продовжити.`;
+    this.logger.logError("Обмеження ітерацій", this.stopMessage);
     return null;
   }
 
+  stateSignature(allocation) {
+    const round = (value) => Math.round(value / LOCAL_EPSILON);
+    return JSON.stringify([
+      this.currentCosts.map((row) => row.map(round)),
+      allocation.map((row) => row.map(round)),
+    ]);
+  }
+
+  /**
+   * Whether every minimal tariff of column j is circled. The first
+   * iteration circles one minimum per column, except in the dummy column:
+   * its tariffs are equal in every row, and any row may send its surplus there.
+   */
+  circlesAllMinima(j) {
+    const isDummyColumn =
+      this.data.isDemandDummy && j === this.data.consumers - 1;
+    return this.iterationNumber > 1 || isDummyColumn;
+  }
+
   buildConditionalOptimalAllocation() {
     const { suppliers, consumers } = this.data;
     const allocation = Array.from({ length: suppliers }, () =>
@@ -231,7 +411,7 @@ class DifferentialRentSolver {
       }
       
       // На першій ітерації - вибираємо один мінімум
-      if (this.iterationNumber === 1 && minRows.length > 1) {
+      if (!this.circlesAllMinima(j) && minRows.length > 1) {
         // Вибираємо рядок з найбільшими запасами
         const selectedRow = minRows.reduce((best, current) => {
           return this.data.supplies[current] > this.data.supplies[best] ? current : best;
@@ -252,27 +432,22 @@ class DifferentialRentSolver {
         if (!grouped.has(cell.col)) {
           grouped.set(cell.col, {
             cost: cell.cost,
-            rows: [`S${cell.row + 1}`],
+            rows: [this.data.supplierLabel(cell.row)],
           });
         } else {
-          grouped.get(cell.col).rows.push(`S${cell.row + 1}`);
+          grouped.get(cell.col).rows.push(this.data.supplierLabel(cell.row));
         }
       });
 
-      const minTariffHtml = Array.from(grouped.entries())
-        .map(
-          ([col, info]) =>
-            `<li>Стовпець ${Number(col) + 1}: тариф ${info.cost.toFixed(
-              1
-            )} у рядках ${info.rows.join(", ")}</li>`
-        )
-        .join("");
-
-      if (minTariffHtml) {
-        this.logger.addSection(
-          "Мінімальні тарифи в стовпцях",
-          `<ul class="list-disc pl-6 text-gray-600">${minTariffHtml}</ul>`
-        );
+      const minTariffs = Array.from(grouped.entries()).map(
+        ([col, info]) =>
+          `Стовпець ${Number(col) + 1}: тариф ${info.cost.toFixed(
+            1
+          )} у рядках ${info.rows.join(", ")}`
+      );
+
+      if (minTariffs.length > 0) {
+        this.logger.logList("Мінімальні тарифи в стовпцях", "", minTariffs);
       }
     }
 
@@ -394,10 +569,7 @@ class DifferentialRentSolver {
     }
 
     if (assignmentMessages.length > 0) {
-      const html = `<ul class="list-disc pl-6 text-gray-600">${assignmentMessages
-        .map((msg) => `<li>${msg}</li>`)
-        .join("")}</ul>`;
-      this.logger.addSection("Заповнення клітинок", html);
+      this.logger.logList("Заповнення клітинок", "", assignmentMessages);
     }
 
     return allocation;
@@ -405,51 +577,36 @@ class DifferentialRentSolver {
 
   logIterationTable(allocation) {
     const { suppliers, consumers } = this.data;
-    let html = `<div class="step-table overflow-x-auto"><table class="w-full text-sm border-collapse">
-      <thead><tr class="bg-gray-100">
-        <th class="border p-2"></th>
-        ${Array.from(
-          { length: consumers },
-          (_, j) => `<th class="border p-2">Спож ${j + 1}</th>`
-        ).join("")}
-        <th class="border p-2">Запаси</th>
-      </tr></thead><tbody>`;
-
-    for (let i = 0; i < suppliers; i++) {
-      html += `<tr>
-        <td class="border p-2 font-semibold">S${i + 1}</td>
-        ${Array.from({ length: consumers }, (_, j) => {
-          const allocationValue = allocation[i][j];
-          const tariff = this.currentCosts[i][j];
-          return `<td class="border p-2">
-              ${
-                allocationValue > LOCAL_EPSILON
-                  ? `${allocationValue.toFixed(
-                      1
-                    )} <span class="text-gray-500">(${tariff.toFixed(
-                      1
-                    )})</span>`
-                  : `<span class="text-gray-500">${tariff.toFixed(1)}</span>`
-              }
-            </td>`;
-        }).join("")}
-        <td class="border p-2 font-semibold">${this.data.supplies[i].toFixed(
-          1
-        )}</td>
-      </tr>`;
-    }
-
-    html += `<tr class="bg-green-50">
-      <td class="border p-2 font-semibold">Потреби</td>
-      ${Array.from(
-        { length: consumers },
-        (_, j) =>
-          `<td class="border p-2">${this.data.demands[j].toFixed(1)}</td>`
-      ).join("")}
-      <td class="border p-2 font-semibold"></td>
-    </tr></tbody></table></div>`;
-
-    this.logger.addSection("Таблиця розподілу", html);
+    const rows = Array.from({ length: suppliers }, (_, i) => [
+      this.data.supplierLabel(i),
+      ...Array.from({ length: consumers }, (_, j) => {
+        const allocationValue = allocation[i][j];
+        const tariff = this.currentCosts[i][j].toFixed(1);
+        return allocationValue > LOCAL_EPSILON
+          ? `${allocationValue.toFixed(1)} (${tariff})`
+          : tariff;
+      }),
+      this.data.supplies[i].toFixed(1),
+    ]);
+    rows.push([
+      "Потреби",
+      ...this.data.demands.map((demand) => demand.toFixed(1)),
+      "",
+    ]);
+
+    this.logger.logSummaryTable(
+      "Таблиця розподілу",
+      "У клітинках — розподілений обсяг і поточний тариф у дужках.",
+      [
+        "",
+        ...Array.from({ length: consumers }, (_, j) =>
+          this.data.consumerLabel(j)
+        ),
+        "Запаси",
+      ],
+      rows,
+      [suppliers]
+    );
   }
 
   getTotalAllocated(allocation) {
@@ -534,21 +691,14 @@ class DifferentialRentSolver {
   }
 
   printRowTypes(surplus, deficit) {
-    const html = `
-      <p class="text-gray-600 mb-2">Класифікація рядків:</p>
-      <ul class="list-disc pl-6 text-gray-600">
-        <li>Надлишкові рядки: ${
-          surplus.length > 0
-            ? surplus.map((i) => `S${i + 1}`).join(", ")
-            : "немає"
-        }</li>
-        <li>Недостатні рядки: ${
-          deficit.length > 0
-            ? deficit.map((i) => `S${i + 1}`).join(", ")
-            : "немає"
-        }</li>
-      </ul>`;
-    this.logger.addSection("Визначення типів рядків", html);
+    const labels = (rows) =>
+      rows.length > 0
+        ? rows.map((i) => this.data.supplierLabel(i)).join(", ")
+        : "немає";
+    this.logger.logList("Визначення типів рядків", "Класифікація рядків:", [
+      `Надлишкові рядки: ${labels(surplus)}`,
+      `Недостатні рядки: ${labels(deficit)}`,
+    ]);
   }
 
   calculateMinimumRent(allocation, surplus, deficit) {
@@ -588,6 +738,12 @@ class DifferentialRentSolver {
       for (const surplusRow of surplus) {
         const cost = this.currentCosts[surplusRow][j];
         const difference = Math.abs(cost - deficitMinCost);
+
+        // Нульова рента лише обвела б усі рівні мінімуми, а якщо вони вже
+        // обведені, розподіл не зміниться
+        if (this.circlesAllMinima(j) && difference < LOCAL_EPSILON) {
+          continue;
+        }
         
         // Шукаємо найближчий за значенням тариф (може бути рівним або більшим)
         if (cost >= deficitMinCost - LOCAL_EPSILON && difference < minDifference) {
@@ -609,10 +765,7 @@ class DifferentialRentSolver {
     }
 
     if (messages.length > 0) {
-      const html = `<ul class="list-disc pl-6 text-gray-600">${messages
-        .map((msg) => `<li>${msg}</li>`)
-        .join("")}</ul>`;
-      this.logger.addSection("Обчислення рент", html);
+      this.logger.logList("Обчислення рент", "", messages);
     }
 
     return minRent;
@@ -0,0 +1,513 @@
+// Module for the Hungarian method: solves assignment problems, where every
+// supplier ships one unit to exactly one consumer
+
+import { createSolutionResult } from "../core/solutionResult.js";
+import {
+  applyBigM,
+  computeBigM,
+  findForbiddenCells,
+  findForbiddenShipments,
+  formatRoutes,
+} from "../core/forbiddenRoutes.js";
+import { add, compare, isZero, mul, sub, sum } from "../utils/arithmetic.js";
+import { formatCompact } from "../utils/numberFormat.js";
+import { DEFAULT_MAX_ITERATIONS, SOLUTION_STATUS } from "../constants.js";
+
+const STAR = "*";
+const PRIME = "'";
+
+export class HungarianMethod {
+  /**
+   * Supplies and demands must all be 1 (Validator.validateAssignment).
+   * options.maxIterations limits the number of matrix adjustments,
+   * options.dummyCost is the cost of a dummy row/column (0 by default)
+   */
+  constructor(costs, supplies, demands, logger, options = {}) {
+    this.logger = logger;
+    this.maxIterations = options.maxIterations ?? DEFAULT_MAX_ITERATIONS;
+    this.dummyCost = options.dummyCost ?? 0;
+    this.m = supplies.length;
+    this.n = demands.length;
+    this.size = Math.max(this.m, this.n);
+    this.forbidden = findForbiddenCells(costs);
+    this.bigM = this.forbidden.some((row) => row.includes(true))
+      ? computeBigM(costs, supplies, demands, [this.dummyCost])
+      : null;
+    this.costs =
+      this.bigM !== null
+        ? applyBigM(costs, this.bigM)
+        : costs.map((row) => [...row]);
+    this.iterations = 0;
+  }
+
+  solve() {
+    this.logger.logHeader("Assignment Problem", "Hungarian method");
+    this.logger.logSummaryTable(
+      "Cost Matrix",
+      `${this.m} suppliers are assigned to ${this.n} consumers, one consumer each.`,
+      ["", ...this.columnLabels(this.n)],
+      this.costs.map((row, i) => [
+        `Supplier ${i + 1}`,
+        ...row.map((cost, j) =>
+          this.forbidden[i][j] ? "M" : formatCompact(cost)
+        ),
+      ])
+    );
+
+    if (this.bigM !== null) {
+      this.logger.logStep(
+        "Forbidden Routes",
+        `Assignments ${formatRoutes(
+          this.forbiddenCells()
+        )} are forbidden and cost M = ${formatCompact(
+          this.bigM
+        )}. If the optimal assignment still uses them, no feasible assignment exists.`
+      );
+    }
+
+    const matrix = this.buildSquareMatrix();
+    this.reduceRows(matrix);
+    this.reduceColumns(matrix);
+
+    const assignment = this.assign(matrix);
+    if (!assignment) {
+      const message = `Reached the limit of ${this.maxIterations} adjustments before a complete assignment was found. Increase the limit to continue.`;
+      this.logger.logError("Iteration Limit", message);
+      return this.buildResult(SOLUTION_STATUS.ITERATION_LIMIT, null, message);
+    }
+
+    const plan = this.toPlan(assignment);
+    const forbiddenShipments = findForbiddenShipments(
+      plan,
+      this.balancedForbidden()
+    );
+    if (forbiddenShipments.length > 0) {
+      const message = `No feasible assignment avoids the forbidden routes: the optimal assignment uses ${formatRoutes(
+        forbiddenShipments
+      )}.`;
+      this.logger.logError("Infeasible Problem", message);
+      return this.buildResult(SOLUTION_STATUS.INFEASIBLE, null, message);
+    }
+
+    this.logAssignment(assignment, plan);
+    return this.buildResult(SOLUTION_STATUS.OPTIMAL, plan);
+  }
+
+  /**
+   * Pads the cost matrix with dummy rows or columns until it is square,
+   * like TransportationProblemSolver.checkAndBalance() for one unit each
+   */
+  buildSquareMatrix() {
+    const matrix = this.costs.map((row) => [
+      ...row,
+      ...Array(this.size - this.n).fill(this.dummyCost),
+    ]);
+    while (matrix.length < this.size) {
+      matrix.push(Array(this.size).fill(this.dummyCost));
+    }
+
+    const missing = Math.abs(this.m - this.n);
+    if (missing > 0) {
+      const isSupplyDummy = this.m < this.n;
+      const first = (isSupplyDummy ? this.m : this.n) + 1;
+      const range =
+        missing === 1 ? `${first}` : `${first}–${first + missing - 1}`;
+      const role = isSupplyDummy ? "supplier" : "consumer";
+      this.logger.logStep(
+        "Balancing",
+        `There are ${this.m} suppliers and ${this.n} consumers. Add ${
+          missing === 1 ? `a dummy ${role}` : `dummy ${role}s`
+        } (${
+          isSupplyDummy ? "Supplier" : "Consumer"
+        } ${range}) with costs ${formatCompact(
+          this.dummyCost
+        )} to make the matrix square; whoever is assigned to them stays unassigned.`
+      );
+    }
+    return matrix;
+  }
+
+  reduceRows(matrix) {
+    const minima = matrix.map((row) =>
+      row.reduce((best, value) => (compare(value, best) < 0 ? value : best))
+    );
+    matrix.forEach((row, i) =>
+      row.forEach((value, j) => {
+        row[j] = sub(value, minima[i]);
+      })
+    );
+    this.logger.logSummaryTable(
+      "Row Reduction",
+      "The smallest cost of every row is subtracted from the whole row, so every row gets a zero.",
+      ["", ...this.columnLabels(this.size), "Row min"],
+      matrix.map((row, i) => [
+        this.rowLabel(i),
+        ...row.map((value) => formatCompact(value)),
+        formatCompact(minima[i]),
+      ])
+    );
+  }
+
+  reduceColumns(matrix) {
+    const minima = matrix[0].map((_, j) =>
+      matrix.reduce(
+        (best, row) => (compare(row[j], best) < 0 ? row[j] : best),
+        matrix[0][j]
+      )
+    );
+    matrix.forEach((row) =>
+      row.forEach((value, j) => {
+        row[j] = sub(value, minima[j]);
+      })
+    );
+    this.logger.logSummaryTable(
+      "Column Reduction",
+      "The smallest element of every column is subtracted from the whole column, so every column gets a zero too.",
+      ["", ...this.columnLabels(this.size)],
+      [
+        ...matrix.map((row, i) => [
+          this.rowLabel(i),
+          ...row.map((value) => formatCompact(value)),
+        ]),
+        ["Column min", ...minima.map((value) => formatCompact(value))],
+      ],
+      [this.size]
+    );
+  }
+
+  /**
+   * Munkres' version of the method: starred zeros form the current partial
+   * assignment, primed zeros are candidates for an augmenting path. Returns
+   * the consumer of every row of the square matrix, or null when the
+   * adjustment limit is reached.
+   */
+  assign(matrix) {
+    const size = this.size;
+    const starInRow = Array(size).fill(-1);
+    const starInCol = Array(size).fill(-1);
+
+    // Greedy start: independent zeros taken row by row
+    matrix.forEach((row, i) => {
+      const j = row.findIndex(
+        (value, col) => isZero(value) && starInCol[col] === -1
+      );
+      if (j !== -1) {
+        starInRow[i] = j;
+        starInCol[j] = i;
+      }
+    });
+    const initial = starInRow.filter((j) => j !== -1).length;
+    if (initial < size) {
+      this.logger.logSummaryTable(
+        "Independent Zeros",
+        `Going row by row, the first zero with no starred zero in its column is starred (${STAR}). ${initial} of ${size} rows are assigned; the rest are reached along augmenting paths of primed (${PRIME}) and starred zeros.`,
+        ["", ...this.columnLabels(size)],
+        this.markedRows(matrix, starInRow, Array(size).fill(-1))
+      );
+    }
+
+    for (;;) {
+      const primeInRow = Array(size).fill(-1);
+      const coveredRows = Array(size).fill(false);
+      const coveredCols = starInCol.map((row) => row !== -1);
+      const starred = coveredCols.filter(Boolean).length;
+
+      if (starred === size) {
+        this.logCover(matrix, starInRow, primeInRow, coveredRows, coveredCols);
+        this.logger.logSuccess(
+          `${size} lines are needed to cover every zero, so the ${size} starred zeros form a complete assignment.`
+        );
+        return starInRow;
+      }
+
+      // Prime uncovered zeros until one starts an augmenting path
+      let pathStart = null;
+      while (!pathStart) {
+        const zero = this.findUncoveredZero(matrix, coveredRows, coveredCols);
+        if (!zero) {
+          this.logCover(
+            matrix,
+            starInRow,
+            primeInRow,
+            coveredRows,
+            coveredCols
+          );
+          if (this.iterations >= this.maxIterations) return null;
+          this.iterations++;
+          this.logger.logProgress("Hungarian method", this.iterations);
+          this.adjust(matrix, coveredRows, coveredCols);
+          continue;
+        }
+
+        primeInRow[zero.row] = zero.col;
+        if (starInRow[zero.row] === -1) {
+          pathStart = zero;
+        } else {
+          coveredRows[zero.row] = true;
+          coveredCols[starInRow[zero.row]] = false;
+        }
+      }
+
+      this.augment(pathStart, starInRow, starInCol, primeInRow);
+    }
+  }
+
+  findUncoveredZero(matrix, coveredRows, coveredCols) {
+    for (let i = 0; i < this.size; i++) {
+      if (coveredRows[i]) continue;
+      for (let j = 0; j < this.size; j++) {
+        if (!coveredCols[j] && isZero(matrix[i][j])) return { row: i, col: j };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Subtracts the smallest uncovered element θ from every uncovered element
+   * and adds it to every element covered twice; this creates a new uncovered
+   * zero and keeps the existing starred zeros
+   */
+  adjust(matrix, coveredRows, coveredCols) {
+    let theta = null;
+    matrix.forEach((row, i) =>
+      row.forEach((value, j) => {
+        if (coveredRows[i] || coveredCols[j]) return;
+        if (theta === null || compare(value, theta) < 0) theta = value;
+      })
+    );
+
+    matrix.forEach((row, i) =>
+      row.forEach((value, j) => {
+        if (!coveredRows[i] && !coveredCols[j]) {
+          row[j] = sub(value, theta);
+        } else if (coveredRows[i] && coveredCols[j]) {
+          row[j] = add(value, theta);
+        }
+      })
+    );
+
+    this.logger.logStep(
+      `Adjustment ${this.iterations}`,
+      `The smallest uncovered element is θ = ${formatCompact(
+        theta
+      )}. Subtract θ from every uncovered element and add it to every element covered by two lines.`
+    );
+  }
+
+  /**
+   * Alternating path from a primed zero with no starred zero in its row:
+   * the primed zeros of the path become starred and the starred ones are
+   * unstarred, which adds one zero to the assignment
+   */
+  augment(start, starInRow, starInCol, primeInRow) {
+    const primes = [start];
+    const stars = [];
+    while (starInCol[primes[primes.length - 1].col] !== -1) {
+      const col = primes[primes.length - 1].col;
+      const row = starInCol[col];
+      stars.push({ row, col });
+      primes.push({ row, col: primeInRow[row] });
+    }
+    const path = primes.flatMap((prime, k) =>
+      k < stars.length ? [prime, stars[k]] : [prime]
+    );
+
+    primes.forEach(({ row, col }) => {
+      starInRow[row] = col;
+      starInCol[col] = row;
+    });
+
+    this.logger.logStep(
+      "Augmenting Path",
+      `The primed zero at (${this.rowLabel(start.row)}, ${this.columnLabel(
+        start.col
+      )}) has no starred zero in its row. Along the path ${path
+        .map(({ row, col }) => `(${row + 1}, ${col + 1})`)
+        .join(
+          " → "
+        )} primed zeros become starred and starred zeros are unstarred, so the assignment grows to ${
+        starInRow.filter((j) => j !== -1).length
+      } zeros.`
+    );
+  }
+
+  /**
+   * Rows of a summary table with starred (*) and primed (') zeros marked
+   */
+  markedRows(matrix, starInRow, primeInRow) {
+    return matrix.map((row, i) => [
+      this.rowLabel(i),
+      ...row.map((value, j) => {
+        const mark =
+          starInRow[i] === j ? STAR : primeInRow[i] === j ? PRIME : "";
+        return `${formatCompact(value)}${mark}`;
+      }),
+    ]);
+  }
+
+  /**
+   * Current matrix with starred (*) and primed (') zeros and the lines
+   * that cover every zero
+   */
+  logCover(matrix, starInRow, primeInRow, coveredRows, coveredCols) {
+    const rows = coveredRows.map((_, i) => i).filter((i) => coveredRows[i]);
+    const cols = coveredCols.map((_, j) => j).filter((j) => coveredCols[j]);
+    const lines = rows.length + cols.length;
+    const listed = (label, indexes) =>
+      indexes.length > 0
+        ? `${indexes.length === 1 ? label : `${label}s`} ${indexes
+            .map((index) => index + 1)
+            .join(", ")}`
+        : null;
+    const coverText = [listed("row", rows), listed("column", cols)]
+      .filter(Boolean)
+      .join(" and ");
+
+    this.logger.logSummaryTable(
+      "Covering Lines",
+      `${STAR} marks independent (starred) zeros, ${PRIME} marks primed zeros. ${lines} ${
+        lines === 1 ? "line" : "lines"
+      } through ${coverText} ${lines === 1 ? "covers" : "cover"} every zero${
+        lines < this.size
+          ? `; fewer than ${this.size}, so the matrix has to be adjusted.`
+          : "."
+      }`,
+      ["", ...this.columnLabels(this.size), "Line"],
+      [
+        ...this.markedRows(matrix, starInRow, primeInRow).map((row, i) => [
+          ...row,
+          coveredRows[i] ? "—" : "",
+        ]),
+        ["Line", ...coveredCols.map((covered) => (covered ? "|" : "")), ""],
+      ],
+      rows
+    );
+  }
+
+  logAssignment(assignment, plan) {
+    const rows = assignment.map((j, i) => [
+      this.rowLabel(i),
+      this.columnLabel(j),
+      formatCompact(
+        i < this.m && j < this.n ? this.costs[i][j] : this.dummyCost
+      ),
+    ]);
+    const unassigned = assignment
+      .map((j, i) => (i < this.m ? (j < this.n ? null : i) : j))
+      .filter((index) => index !== null)
+      .map((index) =>
+        this.m > this.n ? `Supplier ${index + 1}` : `Consumer ${index + 1}`
+      );
+    const details =
+      unassigned.length === 0
+        ? "Every supplier is assigned to exactly one consumer."
+        : `${unassigned.join(", ")} ${
+            unassigned.length === 1 ? "stays" : "stay"
+          } unassigned (matched with a dummy).`;
+    this.logger.logSummaryTable(
+      "Optimal Assignment",
+      details,
+      ["Supplier", "Consumer", "Cost"],
+      [...rows, ["Total", "", formatCompact(this.totalCost(plan))]],
+      [rows.length]
+    );
+
+    const { costs, supplies, demands } = this.balancedTable();
+    this.logger.logFinalPlan(
+      "Optimal Assignment Plan",
+      plan,
+      costs,
+      supplies,
+      demands,
+      this.totalCost(plan),
+      this.m < this.n,
+      this.m > this.n
+    );
+  }
+
+  totalCost(plan) {
+    const { costs } = this.balancedTable();
+    return sum(
+      plan.flatMap((row, i) =>
+        row.map((value, j) => (value === null ? 0 : mul(value, costs[i][j])))
+      )
+    );
+  }
+
+  /**
+   * Plan of the balanced transportation table: the dummy rows (columns) of
+   * the square matrix are merged into a single dummy supplier (consumer)
+   */
+  toPlan(assignment) {
+    const table = this.balancedTable();
+    const plan = table.costs.map((row) => row.map(() => null));
+    assignment.forEach((j, i) => {
+      const row = Math.min(i, this.m);
+      const col = Math.min(j, this.n);
+      plan[row][col] = (plan[row][col] ?? 0) + 1;
+    });
+    return plan;
+  }
+
+  balancedTable() {
+    const supplies = Array(this.m).fill(1);
+    const demands = Array(this.n).fill(1);
+    const costs = this.costs.map((row) => [...row]);
+    const missing = Math.abs(this.m - this.n);
+    if (this.m < this.n) {
+      supplies.push(missing);
+      costs.push(Array(this.n).fill(this.dummyCost));
+    } else if (this.m > this.n) {
+      demands.push(missing);
+      costs.forEach((row) => row.push(this.dummyCost));
+    }
+    return { costs, supplies, demands };
+  }
+
+  balancedForbidden() {
+    const forbidden = this.forbidden.map((row) => [...row]);
+    if (this.m < this.n) forbidden.push(Array(this.n).fill(false));
+    if (this.m > this.n) forbidden.forEach((row) => row.push(false));
+    return forbidden;
+  }
+
+  buildResult(status, plan, message = null) {
+    const { costs, supplies, demands } = this.balancedTable();
+    return createSolutionResult({
+      status,
+      message,
+      plan,
+      totalCost: plan ? this.totalCost(plan) : null,
+      costs,
+      supplies,
+      demands,
+      isSupplyDummy: this.m < this.n,
+      isDemandDummy: this.m > this.n,
+      forbidden: this.bigM !== null ? this.balancedForbidden() : null,
+      bigM: this.bigM,
+      iterations: this.iterations,
+    });
+  }
+
+  forbiddenCells() {
+    const cells = [];
+    this.forbidden.forEach((row, i) =>
+      row.forEach((isForbidden, j) => {
+        if (isForbidden) cells.push({ row: i, col: j });
+      })
+    );
+    return cells;
+  }
+
+  rowLabel(i) {
+    return i < this.m ? `Supplier ${i + 1}` : `Supplier ${i + 1} (dummy)`;
+  }
+
+  columnLabel(j) {
+    return j < this.n ? `Consumer ${j + 1}` : `Consumer ${j + 1} (dummy)`;
+  }
+
+  columnLabels(count) {
+    return Array.from({ length: count }, (_, j) => this.columnLabel(j));
+  }
+}
@@ -1,8 +1,11 @@
 // Module for Minimum Element Method algorithm
 
-import { EPSILON } from "../constants.js";
+import { compare, isPositive, isZero, min, sub } from "../utils/arithmetic.js";
+import { formatCompact } from "../utils/numberFormat.js";
 
 export class MinElementMethod {
+  static displayName = "Minimum Cost Method";
+
   constructor(costs, supplies, demands) {
     this.costs = costs;
     this.supplies = supplies;
@@ -21,17 +24,20 @@ export class MinElementMethod {
     const plan = Array.from({ length: this.m }, () => Array(this.n).fill(null));
 
     while (
-      currentSupplies.some((s) => s > EPSILON) &&
-      currentDemands.some((d) => d > EPSILON)
+      currentSupplies.some(isPositive) &&
+      currentDemands.some(isPositive)
     ) {
       // Find minimum cost among available cells
-      let minCost = Infinity;
+      let minCost = null;
       let minRow = -1;
       let minCol = -1;
 
       for (let i = 0; i < this.m; i++) {
         for (let j = 0; j < this.n; j++) {
-          if (plan[i][j] === null && this.costs[i][j] < minCost) {
+          if (
+            plan[i][j] === null &&
+            (minCost === null || compare(this.costs[i][j], minCost) < 0)
+          ) {
             minCost = this.costs[i][j];
             minRow = i;
             minCol = j;
@@ -41,22 +47,19 @@ export class MinElementMethod {
 
       if (minRow === -1) break;
 
-      const shipment = Math.min(
-        currentSupplies[minRow],
-        currentDemands[minCol]
-      );
+      const shipment = min(currentSupplies[minRow], currentDemands[minCol]);
       plan[minRow][minCol] = shipment;
-      currentSupplies[minRow] -= shipment;
-      currentDemands[minCol] -= shipment;
+      currentSupplies[minRow] = sub(currentSupplies[minRow], shipment);
+      currentDemands[minCol] = sub(currentDemands[minCol], shipment);
 
       // Mark closed rows/columns with -1 (C# approach)
-      if (Math.abs(currentSupplies[minRow]) < EPSILON) {
+      if (isZero(currentSupplies[minRow])) {
         for (let j = 0; j < this.n; j++) {
           if (plan[minRow][j] === null) plan[minRow][j] = -1;
         }
       }
 
-      if (Math.abs(currentDemands[minCol]) < EPSILON) {
+      if (isZero(currentDemands[minCol])) {
         for (let i = 0; i < this.m; i++) {
           if (plan[i][minCol] === null) plan[i][minCol] = -1;
         }
@@ -85,6 +88,6 @@ export class MinElementMethod {
    * Formats a cell value for display
    */
   getCellValue(val) {
-    return val !== null ? parseFloat(val.toFixed(2)).toString() : "-";
+    return val !== null ? formatCompact(val) : "-";
   }
 }
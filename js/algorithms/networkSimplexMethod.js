@@ -0,0 +1,558 @@
+// Module for the network simplex method: the potential method on a basis
+// kept as a spanning tree, for problems too large for the MODI tables
+
+import { createSolutionResult } from "../core/solutionResult.js";
+import {
+  applyBigM,
+  computeBigM,
+  findForbiddenCells,
+  findForbiddenShipments,
+  formatRoutes,
+} from "../core/forbiddenRoutes.js";
+import { INITIAL_PLAN_IDS } from "../core/methodDefinitions.js";
+import { formatCompact } from "../utils/numberFormat.js";
+import {
+  DEFAULT_MAX_ITERATIONS,
+  EPSILON,
+  NETWORK_SIMPLEX_LOGGED_PIVOTS,
+  SOLUTION_STATUS,
+} from "../constants.js";
+
+export class NetworkSimplexMethod {
+  /**
+   * options.maxIterations limits the number of pivots,
+   * options.dummyCost is the tariff of a dummy row/column (0 by default)
+   */
+  constructor(costs, supplies, demands, logger, options = {}) {
+    this.logger = logger;
+    this.maxIterations = options.maxIterations ?? DEFAULT_MAX_ITERATIONS;
+    this.dummyCost = options.dummyCost ?? 0;
+    this.forbidden = findForbiddenCells(costs);
+    this.bigM = this.forbidden.some((row) => row.includes(true))
+      ? computeBigM(costs, supplies, demands, [this.dummyCost])
+      : null;
+    this.costs =
+      this.bigM !== null
+        ? applyBigM(costs, this.bigM)
+        : costs.map((row) => [...row]);
+    this.supplies = [...supplies];
+    this.demands = [...demands];
+    this.isSupplyDummy = false;
+    this.isDemandDummy = false;
+    this.initialPlanSummary = null;
+  }
+
+  solve() {
+    this.logger.logHeader("Transportation Problem", "Network simplex method");
+    if (this.bigM !== null) {
+      this.logger.logStep(
+        "Forbidden Routes",
+        `Routes ${formatRoutes(
+          this.forbiddenCells()
+        )} are forbidden and cost M = ${formatCompact(
+          this.bigM
+        )}. If the optimal plan still uses them, no feasible plan exists.`
+      );
+    }
+    this.checkAndBalance();
+
+    this.logger.logHeader(
+      "--- STAGE 1: Initial Spanning Tree using Minimum Cost Method ---"
+    );
+    const tree = new SpanningTree(this.costs, this.supplies, this.demands);
+    const basicCells = this.supplies.length + this.demands.length - 1;
+    const shipping = tree.shippingCells();
+    this.initialPlanSummary = {
+      totalCost: tree.totalCost(),
+      basicCells: shipping,
+      requiredCells: basicCells,
+      isDegenerate: shipping < basicCells,
+    };
+    this.logger.logStep(
+      "Initial Basis",
+      `The cheapest open cell is filled first and only the exhausted row or column is closed (never both), so the ${basicCells} basic cells form a spanning tree of suppliers and consumers${
+        shipping < basicCells
+          ? `; ${basicCells - shipping} of them ${
+              basicCells - shipping === 1 ? "carries" : "carry"
+            } zero shipments`
+          : ""
+      }. Initial cost Z = ${formatCompact(tree.totalCost())}.`
+    );
+
+    this.logger.logHeader("--- STAGE 2: Pivoting on the Spanning Tree ---");
+    this.logger.logStep(
+      "Pricing",
+      `Potentials are kept on the tree nodes and updated only for the subtree that moves in a pivot. Empty cells are priced in blocks of ${tree.blockSize}; the cell with the largest Δ = u + v − c of the first block that has a positive one enters the basis.`
+    );
+
+    let pivots = 0;
+    for (;;) {
+      const entering = tree.findEnteringCell();
+      if (entering === null) break;
+
+      if (pivots >= this.maxIterations) {
+        const message = `Reached the limit of ${this.maxIterations} pivots before the plan became optimal. Increase the limit to continue.`;
+        this.logger.logError("Iteration Limit", message);
+        return this.stopWithPlan(tree, pivots, message);
+      }
+
+      const { theta, leaving, delta } = tree.pivot(entering);
+      pivots++;
+      this.logger.logProgress("Network simplex", pivots, tree.currentCost);
+      if (pivots <= NETWORK_SIMPLEX_LOGGED_PIVOTS) {
+        this.logPivot(pivots, entering, leaving, delta, theta, tree);
+      } else if (pivots === NETWORK_SIMPLEX_LOGGED_PIVOTS + 1) {
+        this.logger.logStep(
+          "Further Pivots",
+          "The remaining pivots are not logged; only the final plan is shown."
+        );
+      }
+    }
+
+    this.logger.logStep(
+      "Optimality",
+      `After ${pivots} pivots every Δ is <= 0. The current plan is OPTIMAL.`
+    );
+    const plan = tree.toPlan();
+    const forbiddenShipments = findForbiddenShipments(plan, this.forbidden);
+    if (forbiddenShipments.length > 0) {
+      const message = `No feasible plan avoids the forbidden routes: even the optimal plan has to ship along ${formatRoutes(
+        forbiddenShipments
+      )}.`;
+      this.logger.logError("Infeasible Problem", message);
+      return this.buildResult(
+        SOLUTION_STATUS.INFEASIBLE,
+        null,
+        pivots,
+        null,
+        message
+      );
+    }
+
+    this.logger.logSuccess(
+      "Found the optimal transportation plan with the network simplex method."
+    );
+    this.logPlan("FINAL OPTIMAL PLAN", tree, plan);
+    return this.buildResult(
+      SOLUTION_STATUS.OPTIMAL,
+      tree,
+      pivots,
+      tree.potentials()
+    );
+  }
+
+  /**
+   * Closes an open problem with a dummy supplier or consumer, like
+   * TransportationProblemSolver.checkAndBalance()
+   */
+  checkAndBalance() {
+    const totalSupply = this.supplies.reduce((total, value) => total + value);
+    const totalDemand = this.demands.reduce((total, value) => total + value);
+    const diff = Math.abs(totalSupply - totalDemand);
+
+    this.logger.logBalance(totalSupply, totalDemand);
+    if (diff < EPSILON) return;
+
+    const m = this.supplies.length;
+    const n = this.demands.length;
+    if (totalSupply < totalDemand) {
+      this.logger.logStep(
+        "Balancing",
+        `Add dummy supplier (Supplier ${m + 1}) with supply ${diff} and costs ${
+          this.dummyCost
+        }.`
+      );
+      this.supplies.push(diff);
+      this.costs.push(Array(n).fill(this.dummyCost));
+      this.forbidden.push(Array(n).fill(false));
+      this.isSupplyDummy = true;
+    } else {
+      this.logger.logStep(
+        "Balancing",
+        `Add dummy consumer (Consumer ${n + 1}) with demand ${diff} and costs ${
+          this.dummyCost
+        }.`
+      );
+      this.demands.push(diff);
+      this.costs.forEach((row) => row.push(this.dummyCost));
+      this.forbidden.forEach((row) => row.push(false));
+      this.isDemandDummy = true;
+    }
+  }
+
+  logPivot(pivot, entering, leaving, delta, theta, tree) {
+    const cell = ({ row, col }) => `(Supplier ${row + 1}, Consumer ${col + 1})`;
+    this.logger.logStep(
+      `Pivot ${pivot}`,
+      `Cell ${cell(entering)} enters with Δ = ${formatCompact(
+        delta
+      )}, cell ${cell(leaving)} leaves, θ = ${formatCompact(
+        theta
+      )}. Z = ${formatCompact(tree.currentCost)}.`
+    );
+  }
+
+  /**
+   * The iteration limit keeps the last plan: every tree plan is feasible
+   */
+  stopWithPlan(tree, pivots, message) {
+    const plan = tree.toPlan();
+    this.logPlan(`BEST PLAN FOUND (after pivot ${pivots})`, tree, plan);
+    if (findForbiddenShipments(plan, this.forbidden).length > 0) {
+      return this.buildResult(
+        SOLUTION_STATUS.ITERATION_LIMIT,
+        null,
+        pivots,
+        null,
+        `${message} The best plan found still uses forbidden routes.`
+      );
+    }
+    return this.buildResult(
+      SOLUTION_STATUS.ITERATION_LIMIT,
+      tree,
+      pivots,
+      null,
+      message
+    );
+  }
+
+  logPlan(title, tree, plan) {
+    this.logger.logFinalPlan(
+      title,
+      plan,
+      this.costs,
+      this.supplies,
+      this.demands,
+      tree.totalCost(),
+      this.isSupplyDummy,
+      this.isDemandDummy
+    );
+  }
+
+  buildResult(status, tree, iterations, potentials = null, message = null) {
+    return createSolutionResult({
+      status,
+      message,
+      plan: tree ? tree.toPlan() : null,
+      totalCost: tree ? tree.totalCost() : null,
+      potentials,
+      costs: this.costs.map((row) => [...row]),
+      supplies: [...this.supplies],
+      demands: [...this.demands],
+      isSupplyDummy: this.isSupplyDummy,
+      isDemandDummy: this.isDemandDummy,
+      forbidden:
+        this.bigM !== null ? this.forbidden.map((row) => [...row]) : null,
+      bigM: this.bigM,
+      initialPlan: INITIAL_PLAN_IDS.MIN_ELEMENT,
+      initialPlanSummary: this.initialPlanSummary,
+      iterations,
+    });
+  }
+
+  forbiddenCells() {
+    const cells = [];
+    this.forbidden.forEach((row, i) =>
+      row.forEach((isForbidden, j) => {
+        if (isForbidden) cells.push({ row: i, col: j });
+      })
+    );
+    return cells;
+  }
+}
+
+/**
+ * Basis of a balanced transportation problem as a spanning tree over the
+ * m + n nodes (suppliers 0..m-1, consumers m..m+n-1). Every node stores its
+ * parent, the basic cell to the parent, its depth and its potential; cells
+ * are indexed row by row (i·n + j).
+ */
+class SpanningTree {
+  constructor(costs, supplies, demands) {
+    this.m = supplies.length;
+    this.n = demands.length;
+    const size = this.m * this.n;
+    const nodes = this.m + this.n;
+
+    this.cost = new Float64Array(size);
+    costs.forEach((row, i) =>
+      row.forEach((cost, j) => {
+        this.cost[i * this.n + j] = cost;
+      })
+    );
+    this.flow = new Float64Array(size);
+    this.isBasic = new Uint8Array(size);
+    this.parent = new Int32Array(nodes);
+    this.parentCell = new Int32Array(nodes);
+    this.depth = new Int32Array(nodes);
+    this.potential = new Float64Array(nodes);
+    this.children = Array.from({ length: nodes }, () => new Set());
+
+    const largest = this.cost.reduce(
+      (best, cost) => Math.max(best, Math.abs(cost)),
+      1
+    );
+    // Potentials add up to |u| + |v| ≈ 2·max|c|, so the tolerance scales
+    this.tolerance = EPSILON * largest;
+    this.blockSize = Math.max(Math.ceil(Math.sqrt(size)), 10);
+    this.nextCell = 0;
+
+    this.buildInitialBasis(supplies, demands);
+    this.buildTree();
+    // Kept up to date by pivot(): every pivot saves Δ·θ
+    this.currentCost = this.totalCost();
+  }
+
+  /**
+   * Minimum cost method that closes exactly one line per allocation (the
+   * last allocation closes the final row and column), which always yields
+   * m + n − 1 basic cells without cycles
+   */
+  buildInitialBasis(supplies, demands) {
+    const { m, n } = this;
+    const remainingSupply = Float64Array.from(supplies);
+    const remainingDemand = Float64Array.from(demands);
+    const rowOpen = new Uint8Array(m).fill(1);
+    const columnOpen = new Uint8Array(n).fill(1);
+    let openRows = m;
+    let openColumns = n;
+
+    const order = Array.from(this.cost.keys()).sort(
+      (a, b) => this.cost[a] - this.cost[b] || a - b
+    );
+    for (const cell of order) {
+      const i = Math.floor(cell / n);
+      const j = cell - i * n;
+      if (!rowOpen[i] || !columnOpen[j]) continue;
+
+      const amount = Math.min(remainingSupply[i], remainingDemand[j]);
+      this.flow[cell] = amount;
+      this.isBasic[cell] = 1;
+      remainingSupply[i] -= amount;
+      remainingDemand[j] -= amount;
+
+      if (openRows === 1 && openColumns === 1) break;
+      const closeRow =
+        openColumns === 1 ||
+        (openRows > 1 &&
+          remainingSupply[i] <= remainingDemand[j] + this.tolerance);
+      if (closeRow) {
+        rowOpen[i] = 0;
+        openRows--;
+      } else {
+        columnOpen[j] = 0;
+        openColumns--;
+      }
+    }
+  }
+
+  /**
+   * Parent, depth and potential of every node from the basic cells, with
+   * supplier 1 as the root (u₁ = 0)
+   */
+  buildTree() {
+    const { m, n } = this;
+    const neighbours = Array.from({ length: m + n }, () => []);
+    this.isBasic.forEach((basic, cell) => {
+      if (!basic) return;
+      const i = Math.floor(cell / n);
+      const j = cell - i * n;
+      neighbours[i].push([m + j, cell]);
+      neighbours[m + j].push([i, cell]);
+    });
+
+    const visited = new Uint8Array(m + n);
+    const queue = [0];
+    visited[0] = 1;
+    this.parent[0] = -1;
+    this.parentCell[0] = -1;
+    for (let head = 0; head < queue.length; head++) {
+      const node = queue[head];
+      for (const [next, cell] of neighbours[node]) {
+        if (visited[next]) continue;
+        visited[next] = 1;
+        this.parent[next] = node;
+        this.parentCell[next] = cell;
+        this.depth[next] = this.depth[node] + 1;
+        this.potential[next] = this.cost[cell] - this.potential[node];
+        this.children[node].add(next);
+        queue.push(next);
+      }
+    }
+  }
+
+  /**
+   * Block search pricing: scans the cells cyclically in blocks and returns
+   * the best cell of the first block with a positive Δ, or null when the
+   * plan is optimal
+   */
+  findEnteringCell() {
+    const { m, n, blockSize } = this;
+    const size = m * n;
+    let best = null;
+    let bestDelta = this.tolerance;
+    let cell = this.nextCell;
+
+    for (let scanned = 0; scanned < size; scanned++) {
+      if (!this.isBasic[cell]) {
+        const i = Math.floor(cell / n);
+        const j = cell - i * n;
+        const delta =
+          this.potential[i] + this.potential[m + j] - this.cost[cell];
+        if (delta > bestDelta) {
+          bestDelta = delta;
+          best = cell;
+        }
+      }
+      cell = cell + 1 === size ? 0 : cell + 1;
+      if (best !== null && (scanned + 1) % blockSize === 0) break;
+    }
+
+    this.nextCell = cell;
+    if (best === null) return null;
+    const row = Math.floor(best / n);
+    return { row, col: best - row * n, cell: best, delta: bestDelta };
+  }
+
+  /**
+   * Moves θ around the cycle that the entering cell closes in the tree and
+   * replaces the leaving cell with the entering one. The cycle runs along
+   * the tree paths from the supplier and the consumer of the entering cell
+   * up to their common ancestor; on both paths the cells at odd distance
+   * from the entering cell lose θ.
+   */
+  pivot({ row, col, cell, delta }) {
+    const { m } = this;
+    const supplierPath = [];
+    const consumerPath = [];
+    let a = row;
+    let b = m + col;
+    while (a !== b) {
+      if (this.depth[a] >= this.depth[b]) {
+        supplierPath.push(a);
+        a = this.parent[a];
+      } else {
+        consumerPath.push(b);
+        b = this.parent[b];
+      }
+    }
+
+    // The leaving cell: the smallest shipment among the cells losing θ
+    let theta = Infinity;
+    let leavingNode = -1;
+    let leavesSupplierSide = false;
+    [supplierPath, consumerPath].forEach((path, side) => {
+      for (let k = 0; k < path.length; k += 2) {
+        const amount = this.flow[this.parentCell[path[k]]];
+        if (amount < theta) {
+          theta = amount;
+          leavingNode = path[k];
+          leavesSupplierSide = side === 0;
+        }
+      }
+    });
+
+    [supplierPath, consumerPath].forEach((path) =>
+      path.forEach((node, k) => {
+        this.flow[this.parentCell[node]] += k % 2 === 0 ? -theta : theta;
+      })
+    );
+    const leavingCell = this.parentCell[leavingNode];
+    this.flow[cell] = theta;
+    this.flow[leavingCell] = 0;
+    this.currentCost -= delta * theta;
+    this.isBasic[cell] = 1;
+    this.isBasic[leavingCell] = 0;
+
+    // The subtree below the leaving cell is hung on the entering cell
+    const path = leavesSupplierSide ? supplierPath : consumerPath;
+    const inner = leavesSupplierSide ? row : m + col;
+    const outer = leavesSupplierSide ? m + col : row;
+    this.reroot(
+      path.slice(0, path.indexOf(leavingNode) + 1),
+      inner,
+      outer,
+      cell
+    );
+    this.shiftPotentials(inner, inner < m ? -delta : delta);
+
+    const leavingRow = Math.floor(leavingCell / this.n);
+    return {
+      theta,
+      delta,
+      leaving: { row: leavingRow, col: leavingCell - leavingRow * this.n },
+    };
+  }
+
+  /**
+   * Reverses the parent links along path (from inner up to the node below
+   * the leaving cell) and attaches inner to outer through the entering cell
+   */
+  reroot(path, inner, outer, cell) {
+    const last = path[path.length - 1];
+    this.children[this.parent[last]].delete(last);
+    const cells = path.map((node) => this.parentCell[node]);
+    for (let k = path.length - 1; k > 0; k--) {
+      const node = path[k];
+      const child = path[k - 1];
+      this.children[node].delete(child);
+      this.children[child].add(node);
+      this.parent[node] = child;
+      this.parentCell[node] = cells[k - 1];
+    }
+    this.parent[inner] = outer;
+    this.parentCell[inner] = cell;
+    this.children[outer].add(inner);
+  }
+
+  /**
+   * Recomputes the depths of the subtree of root and shifts its supplier
+   * potentials by shift and its consumer potentials by −shift, so that the
+   * entering cell gets u + v = c and the tree cells inside keep it
+   */
+  shiftPotentials(root, shift) {
+    const stack = [root];
+    while (stack.length > 0) {
+      const node = stack.pop();
+      this.depth[node] = this.depth[this.parent[node]] + 1;
+      this.potential[node] += node < this.m ? shift : -shift;
+      this.children[node].forEach((child) => stack.push(child));
+    }
+  }
+
+  shippingCells() {
+    let count = 0;
+    this.isBasic.forEach((basic, cell) => {
+      if (basic && this.flow[cell] > EPSILON) count++;
+    });
+    return count;
+  }
+
+  totalCost() {
+    let total = 0;
+    this.isBasic.forEach((basic, cell) => {
+      if (basic) total += this.flow[cell] * this.cost[cell];
+    });
+    return total;
+  }
+
+  /**
+   * Plan in the format of the other methods: basic cells hold their
+   * shipment (zero for degenerate ones), the other cells are null
+   */
+  toPlan() {
+    return Array.from({ length: this.m }, (_, i) =>
+      Array.from({ length: this.n }, (_, j) => {
+        const cell = i * this.n + j;
+        return this.isBasic[cell] ? this.flow[cell] : null;
+      })
+    );
+  }
+
+  potentials() {
+    return {
+      u: Array.from(this.potential.subarray(0, this.m)),
+      v: Array.from(this.potential.subarray(this.m)),
+    };
+  }
+}
@@ -0,0 +1,55 @@
+// Module for North-West Corner Method algorithm
+
+import { isPositive, min, sub } from "../utils/arithmetic.js";
+
+export class NorthWestCornerMethod {
+  static displayName = "North-West Corner Method";
+
+  constructor(costs, supplies, demands) {
+    this.costs = costs;
+    this.supplies = supplies;
+    this.demands = demands;
+    this.m = supplies.length;
+    this.n = demands.length;
+  }
+
+  /**
+   * Finds the initial plan using the north-west corner method.
+   * Costs are ignored: the table is filled from the top-left cell, moving
+   * down when a supply is exhausted and right when a demand is satisfied.
+   */
+  findInitialPlan(onStep) {
+    const currentSupplies = [...this.supplies];
+    const currentDemands = [...this.demands];
+    const plan = Array.from({ length: this.m }, () => Array(this.n).fill(null));
+
+    let row = 0;
+    let col = 0;
+    let step = 1;
+
+    while (row < this.m && col < this.n) {
+      const shipment = min(currentSupplies[row], currentDemands[col]);
+      plan[row][col] = shipment;
+      currentSupplies[row] = sub(currentSupplies[row], shipment);
+      currentDemands[col] = sub(currentDemands[col], shipment);
+
+      onStep(
+        step++,
+        plan.map((r) => [...r]),
+        [...currentSupplies],
+        [...currentDemands],
+        { minRow: row, minCol: col }
+      );
+
+      // When both are exhausted, moving down keeps a zero basic cell
+      // in the next row, so the plan still has m + n - 1 cells
+      if (!isPositive(currentSupplies[row])) {
+        row++;
+      } else {
+        col++;
+      }
+    }
+
+    return plan;
+  }
+}
@@ -1,14 +1,32 @@
 // Module for Potential Method (MODI) algorithm
 
 import { Cell } from "../models/cell.js";
-import { EPSILON } from "../constants.js";
+import { PIVOT_RULE_IDS } from "../core/methodDefinitions.js";
+import {
+  add,
+  compare,
+  isPositive,
+  isZero,
+  sub,
+  zeroLike,
+} from "../utils/arithmetic.js";
+import { formatCompact, formatNumber } from "../utils/numberFormat.js";
 
 export class PotentialMethod {
-  constructor(costs, plan) {
+  /**
+   * options.pivotRule chooses the entering and leaving cells (see PIVOT_RULE_IDS).
+   * options.capacities (route upper bounds, null = unlimited) switches to the
+   * bounded-variable method; options.atUpper then marks the non-basic cells
+   * whose shipment sits at the capacity and is updated in place.
+   */
+  constructor(costs, plan, options = {}) {
     this.costs = costs;
     this.plan = plan;
     this.m = plan.length;
     this.n = plan[0].length;
+    this.pivotRule = options.pivotRule ?? PIVOT_RULE_IDS.LARGEST_DELTA;
+    this.capacities = options.capacities ?? null;
+    this.atUpper = options.atUpper ?? null;
   }
 
   /**
@@ -34,7 +52,8 @@ export class PotentialMethod {
       }
     }
 
-    u[baseRow] = 0;
+    const zero = zeroLike(this.costs[0][0]);
+    u[baseRow] = zero;
     this.baseRowMessage = `Assuming u${
       baseRow + 1
     } = 0 (row with the most allocations).`;
@@ -45,9 +64,9 @@ export class PotentialMethod {
         for (let j = 0; j < this.n; j++) {
           if (this.plan[i][j] !== null) {
             if (u[i] !== null && v[j] === null) {
-              v[j] = this.costs[i][j] - u[i];
+              v[j] = sub(this.costs[i][j], u[i]);
             } else if (u[i] === null && v[j] !== null) {
-              u[i] = this.costs[i][j] - v[j];
+              u[i] = sub(this.costs[i][j], v[j]);
             }
           }
         }
@@ -56,10 +75,10 @@ export class PotentialMethod {
 
     // Ensure all potentials are assigned
     for (let i = 0; i < this.m; i++) {
-      if (u[i] === null) u[i] = 0;
+      if (u[i] === null) u[i] = zero;
     }
     for (let j = 0; j < this.n; j++) {
-      if (v[j] === null) v[j] = 0;
+      if (v[j] === null) v[j] = zero;
     }
 
     return { u, v };
@@ -76,18 +95,18 @@ export class PotentialMethod {
       for (let j = 0; j < this.n; j++) {
         // Only for unoccupied cells
         if (this.plan[i][j] === null) {
-          deltas[i][j] = u[i] + v[j] - this.costs[i][j];
+          deltas[i][j] = sub(add(u[i], v[j]), this.costs[i][j]);
         }
       }
     }
     return deltas;
   }
   /**
-   * Finds the maximum delta and entering cell
+   * Finds the maximum delta and entering cell (both null when every cell is filled)
    */
 
   findMaxDelta(deltas) {
-    let maxDelta = -Infinity;
+    let maxDelta = null;
     let enteringCell = null;
 
     for (let i = 0; i < this.m; i++) {
@@ -95,7 +114,7 @@ export class PotentialMethod {
         if (
           this.plan[i][j] === null &&
           deltas[i][j] !== null &&
-          deltas[i][j] > maxDelta
+          (maxDelta === null || compare(deltas[i][j], maxDelta) > 0)
         ) {
           maxDelta = deltas[i][j];
           enteringCell = new Cell(i, j);
@@ -106,6 +125,153 @@ export class PotentialMethod {
     return { maxDelta, enteringCell };
   }
 
+  /**
+   * Bland's rule: the first cell in row-major order with a positive delta
+   * (both null when there is none)
+   */
+  findFirstPositiveDelta(deltas) {
+    for (let i = 0; i < this.m; i++) {
+      for (let j = 0; j < this.n; j++) {
+        if (
+          this.plan[i][j] === null &&
+          deltas[i][j] !== null &&
+          isPositive(deltas[i][j])
+        ) {
+          return { delta: deltas[i][j], enteringCell: new Cell(i, j) };
+        }
+      }
+    }
+    return { delta: null, enteringCell: null };
+  }
+
+  /**
+   * Non-basic cells with Δ = 0 whose shipment can change: at the optimum,
+   * pivoting on them gives another plan with the same total cost
+   */
+  findZeroDeltaCells(deltas) {
+    const cells = [];
+    for (let i = 0; i < this.m; i++) {
+      for (let j = 0; j < this.n; j++) {
+        if (this.plan[i][j] !== null || deltas[i][j] === null) continue;
+        if (!isZero(deltas[i][j])) continue;
+        // A route with zero capacity cannot carry a shipment
+        const capacity = this.capacities?.[i][j] ?? null;
+        if (!this.atUpper?.[i][j] && capacity !== null && isZero(capacity)) {
+          continue;
+        }
+        cells.push(new Cell(i, j));
+      }
+    }
+    return cells;
+  }
+
+  /**
+   * Range { lower, upper } of every cost over which the current (optimal)
+   * basis stays optimal; null marks an unbounded side. The cost of a
+   * non-basic cell moves only its own Δ, while the cost of a basic cell
+   * moves the Δ of every cell whose cycle passes through it: Δ grows with
+   * the cost at the '-' positions of the cycle and falls at the '+' ones.
+   */
+  calculateCostRanges(deltas) {
+    // Allowed decrease and increase of every cost (null = unbounded)
+    const limits = this.costs.map((row) =>
+      row.map(() => ({ decrease: null, increase: null }))
+    );
+    const tighten = (cell, side, amount) => {
+      const limit = limits[cell.row][cell.col];
+      if (limit[side] === null || compare(amount, limit[side]) < 0) {
+        limit[side] = amount;
+      }
+    };
+
+    for (let i = 0; i < this.m; i++) {
+      for (let j = 0; j < this.n; j++) {
+        if (this.plan[i][j] !== null) continue;
+        // A route with zero capacity never ships, whatever it costs
+        const capacity = this.capacities?.[i][j] ?? null;
+        if (!this.atUpper?.[i][j] && capacity !== null && isZero(capacity)) {
+          continue;
+        }
+
+        // Δ ≤ 0 keeps an empty cell out of the basis, Δ ≥ 0 keeps a cell at
+        // its capacity there
+        const atUpper = Boolean(this.atUpper?.[i][j]);
+        const slack = atUpper ? deltas[i][j] : sub(0, deltas[i][j]);
+        tighten({ row: i, col: j }, atUpper ? "increase" : "decrease", slack);
+
+        const cycle = this.findCycle(new Cell(i, j));
+        if (!cycle) continue;
+        cycle.slice(1).forEach((cell, k) => {
+          // k = 0 is the first '-' position of the cycle
+          const raisesDelta = k % 2 === 0;
+          tighten(
+            cell,
+            raisesDelta !== atUpper ? "increase" : "decrease",
+            slack
+          );
+        });
+      }
+    }
+
+    return limits.map((row, i) =>
+      row.map(({ decrease, increase }, j) => ({
+        lower: decrease === null ? null : sub(this.costs[i][j], decrease),
+        upper: increase === null ? null : add(this.costs[i][j], increase),
+      }))
+    );
+  }
+
+  /**
+   * Entering cell according to the pivot rule: { delta, enteringCell, fromUpper }.
+   * fromUpper is true when the cell sits at its capacity and its shipment
+   * has to decrease.
+   */
+  selectEnteringCell(deltas) {
+    if (this.capacities) {
+      return this.selectBoundedEnteringCell(deltas);
+    }
+    if (this.pivotRule === PIVOT_RULE_IDS.BLAND) {
+      return { ...this.findFirstPositiveDelta(deltas), fromUpper: false };
+    }
+    const { maxDelta, enteringCell } = this.findMaxDelta(deltas);
+    return { delta: maxDelta, enteringCell, fromUpper: false };
+  }
+
+  /**
+   * Bounded-variable rule: an empty cell improves the plan when Δ > 0, a cell
+   * at its capacity when Δ < 0. Picks the largest |Δ| (or the first such cell
+   * under Bland's rule); enteringCell is null when the plan is optimal.
+   */
+  selectBoundedEnteringCell(deltas) {
+    let best = { delta: null, enteringCell: null, fromUpper: false };
+    let bestGain = null;
+
+    for (let i = 0; i < this.m; i++) {
+      for (let j = 0; j < this.n; j++) {
+        if (this.plan[i][j] !== null || deltas[i][j] === null) continue;
+
+        const fromUpper = this.atUpper[i][j];
+        const capacity = this.capacities[i][j];
+        // A route with zero capacity can never carry a shipment
+        if (!fromUpper && capacity !== null && isZero(capacity)) continue;
+
+        const gain = fromUpper ? sub(0, deltas[i][j]) : deltas[i][j];
+        if (!isPositive(gain)) continue;
+        if (bestGain === null || compare(gain, bestGain) > 0) {
+          bestGain = gain;
+          best = {
+            delta: deltas[i][j],
+            enteringCell: new Cell(i, j),
+            fromUpper,
+          };
+          if (this.pivotRule === PIVOT_RULE_IDS.BLAND) return best;
+        }
+      }
+    }
+
+    return best;
+  }
+
   /**
    * Finds a cycle starting from the given cell
    * Based on C# implementation: removes single cells, then builds cycle by finding next in row/col
@@ -219,11 +385,19 @@ export class PotentialMethod {
    * Based on C# implementation: finds minTheta, updates allocations, removes leaving cell
    */
   reallocatePlan(cycle, plan, logger) {
+    if (this.capacities) {
+      this.reallocatePlanBounded(cycle, plan, logger);
+      return;
+    }
+
     // Find minimum allocation in cells with '-' sign (odd index)
-    let minTheta = Infinity;
+    let minTheta = null;
     for (let i = 1; i < cycle.length; i += 2) {
       const { row, col } = cycle[i];
-      if (plan[row][col] !== null && plan[row][col] < minTheta) {
+      if (
+        plan[row][col] !== null &&
+        (minTheta === null || compare(plan[row][col], minTheta) < 0)
+      ) {
         minTheta = plan[row][col];
       }
     }
@@ -232,7 +406,7 @@ export class PotentialMethod {
     if (logger) {
       logger.logStep(
         "Reallocation",
-        `Reallocation amount θ = ${minTheta.toFixed(2)}`
+        `Reallocation amount θ = ${formatNumber(minTheta, 2)}`
       );
     }
 
@@ -241,21 +415,28 @@ export class PotentialMethod {
       const { row, col } = cycle[i];
       if (i % 2 === 0) {
         // '+' sign (even index)
-        if (plan[row][col] === null) plan[row][col] = 0;
-        plan[row][col] += minTheta;
+        if (plan[row][col] === null) plan[row][col] = zeroLike(minTheta);
+        plan[row][col] = add(plan[row][col], minTheta);
       } else {
         // '-' sign (odd index)
-        plan[row][col] -= minTheta;
+        plan[row][col] = sub(plan[row][col], minTheta);
       }
     }
 
-    // Remove the leaving cell (allocation becomes zero)
+    // Remove the leaving cell (allocation becomes zero). Ties are broken by
+    // the cycle order, or by the row-major order under Bland's rule
     let leavingCell = null;
     for (let i = 1; i < cycle.length; i += 2) {
       const { row, col } = cycle[i];
-      if (Math.abs(plan[row][col]) < EPSILON) {
+      if (!isZero(plan[row][col])) continue;
+      if (leavingCell === null) {
+        leavingCell = cycle[i];
+        if (this.pivotRule !== PIVOT_RULE_IDS.BLAND) break;
+      } else if (
+        row < leavingCell.row ||
+        (row === leavingCell.row && col < leavingCell.col)
+      ) {
         leavingCell = cycle[i];
-        break;
       }
     }
 
@@ -264,6 +445,145 @@ export class PotentialMethod {
     }
   }
 
+  /**
+   * Bounded-variable reallocation: θ is limited both by the shipments that
+   * decrease and by the spare capacity of the cells that increase. The cell
+   * that blocks θ leaves the basis at zero or at its capacity; when it is
+   * the entering cell itself, that cell just moves to its other bound.
+   */
+  reallocatePlanBounded(cycle, plan, logger) {
+    const [entering] = cycle;
+    const fromUpper = this.atUpper[entering.row][entering.col];
+    const zero = zeroLike(this.costs[0][0]);
+    const current = ({ row, col }) =>
+      plan[row][col] ??
+      (this.atUpper[row][col] ? this.capacities[row][col] : zero);
+    // Even positions move in the same direction as the entering cell
+    const increases = (k) => (k % 2 === 0) !== fromUpper;
+
+    let theta = null;
+    let blocking = null;
+    cycle.forEach((cell, k) => {
+      const capacity = this.capacities[cell.row][cell.col];
+      let room = current(cell);
+      if (increases(k)) {
+        if (capacity === null) return;
+        room = sub(capacity, room);
+      }
+
+      const order = theta === null ? -1 : compare(room, theta);
+      const isEarlier =
+        blocking !== null &&
+        (cell.row < blocking.cell.row ||
+          (cell.row === blocking.cell.row && cell.col < blocking.cell.col));
+      if (
+        order < 0 ||
+        (order === 0 && this.pivotRule === PIVOT_RULE_IDS.BLAND && isEarlier)
+      ) {
+        theta = room;
+        blocking = { cell, k };
+      }
+    });
+
+    cycle.forEach((cell, k) => {
+      plan[cell.row][cell.col] = increases(k)
+        ? add(current(cell), theta)
+        : sub(current(cell), theta);
+    });
+    this.atUpper[entering.row][entering.col] = false;
+
+    const { row, col } = blocking.cell;
+    const atCapacity = increases(blocking.k);
+    plan[row][col] = null;
+    this.atUpper[row][col] = atCapacity;
+
+    if (logger) {
+      const bound = atCapacity ? "its capacity" : "zero";
+      logger.logStep(
+        "Reallocation",
+        blocking.k === 0
+          ? `Reallocation amount θ = ${formatNumber(theta, 2)}. Cell (${
+              row + 1
+            }, ${col + 1}) moves to ${bound}; the basis does not change.`
+          : `Reallocation amount θ = ${formatNumber(theta, 2)}. Cell (${
+              row + 1
+            }, ${col + 1}) leaves the basis at ${bound}.`
+      );
+    }
+  }
+
+  /**
+   * Shipments of the current basis for the given supplies and demands,
+   * found by repeatedly closing a line with a single undetermined basic
+   * cell. Returns null when the basic cells do not form a spanning tree.
+   */
+  basicSolution(supplies, demands) {
+    const solution = Array.from({ length: this.m }, () =>
+      Array(this.n).fill(null)
+    );
+    const rowRest = [...supplies];
+    const colRest = [...demands];
+    const open = [];
+    for (let i = 0; i < this.m; i++) {
+      for (let j = 0; j < this.n; j++) {
+        if (this.plan[i][j] !== null) open.push(new Cell(i, j));
+      }
+    }
+
+    const isLastInRow = (cell) =>
+      open.every((other) => other === cell || other.row !== cell.row);
+    const isLastInCol = (cell) =>
+      open.every((other) => other === cell || other.col !== cell.col);
+
+    while (open.length > 0) {
+      const cell = open.find((item) => isLastInRow(item) || isLastInCol(item));
+      if (!cell) return null;
+
+      const { row, col } = cell;
+      const amount = isLastInRow(cell) ? rowRest[row] : colRest[col];
+      solution[row][col] = amount;
+      rowRest[row] = sub(rowRest[row], amount);
+      colRest[col] = sub(colRest[col], amount);
+      open.splice(open.indexOf(cell), 1);
+    }
+
+    return solution;
+  }
+
+  /**
+   * How far supplies and demands can move by t · (supplyChange, demandChange)
+   * before the current basis stops being feasible: { decrease, increase }
+   * bounds on t (null = unbounded). The change has to keep the problem
+   * balanced; it then travels along a path of basic cells, moving each of
+   * their shipments by −1, 0 or +1 per unit.
+   */
+  calculateChangeRange(supplyChange, demandChange) {
+    const direction = this.basicSolution(supplyChange, demandChange);
+    const limits = { decrease: null, increase: null };
+    const tighten = (side, amount) => {
+      if (limits[side] === null || compare(amount, limits[side]) < 0) {
+        limits[side] = amount;
+      }
+    };
+
+    for (let i = 0; i < this.m; i++) {
+      for (let j = 0; j < this.n; j++) {
+        const step = direction[i][j];
+        if (step === null || isZero(step)) continue;
+        const value = this.plan[i][j];
+        const capacity = this.capacities?.[i][j] ?? null;
+        const spare = capacity === null ? null : sub(capacity, value);
+        // The shipment must stay between zero and the route capacity
+        const [towardsZero, towardsCapacity] = isPositive(step)
+          ? ["decrease", "increase"]
+          : ["increase", "decrease"];
+        tighten(towardsZero, value);
+        if (spare !== null) tighten(towardsCapacity, spare);
+      }
+    }
+    return limits;
+  }
+
   /**
    * Checks if the plan is acyclic (for degeneracy handling)
    * Based on C# implementation
@@ -321,6 +641,6 @@ export class PotentialMethod {
    */
 
   getCellValue(val) {
-    return val !== null ? parseFloat(val.toFixed(2)).toString() : "-";
+    return val !== null ? formatCompact(val) : "-";
   }
 }
@@ -0,0 +1,62 @@
+// Module for Row Minimum Method algorithm
+
+import { compare, isPositive, min, sub } from "../utils/arithmetic.js";
+
+export class RowMinimumMethod {
+  static displayName = "Row Minimum Method";
+
+  constructor(costs, supplies, demands) {
+    this.costs = costs;
+    this.supplies = supplies;
+    this.demands = demands;
+    this.m = supplies.length;
+    this.n = demands.length;
+  }
+
+  /**
+   * Finds the initial plan using the row minimum method.
+   * Rows are processed top to bottom; each row ships to its cheapest
+   * consumer that still has demand until the row's supply is exhausted.
+   */
+  findInitialPlan(onStep) {
+    const currentSupplies = [...this.supplies];
+    const currentDemands = [...this.demands];
+    const plan = Array.from({ length: this.m }, () => Array(this.n).fill(null));
+    let step = 1;
+
+    for (let i = 0; i < this.m; i++) {
+      while (isPositive(currentSupplies[i])) {
+        let minCost = null;
+        let minCol = -1;
+
+        for (let j = 0; j < this.n; j++) {
+          if (
+            plan[i][j] === null &&
+            isPositive(currentDemands[j]) &&
+            (minCost === null || compare(this.costs[i][j], minCost) < 0)
+          ) {
+            minCost = this.costs[i][j];
+            minCol = j;
+          }
+        }
+
+        if (minCol === -1) break;
+
+        const shipment = min(currentSupplies[i], currentDemands[minCol]);
+        plan[i][minCol] = shipment;
+        currentSupplies[i] = sub(currentSupplies[i], shipment);
+        currentDemands[minCol] = sub(currentDemands[minCol], shipment);
+
+        onStep(
+          step++,
+          plan.map((row) => [...row]),
+          [...currentSupplies],
+          [...currentDemands],
+          { minRow: i, minCol }
+        );
+      }
+    }
+
+    return plan;
+  }
+}
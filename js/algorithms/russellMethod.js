@@ -0,0 +1,104 @@
+// Module for Russell's Approximation Method algorithm
+
+import { compare, isPositive, min, sub } from "../utils/arithmetic.js";
+
+export class RussellMethod {
+  static displayName = "Russell's Approximation Method";
+  static logsSteps = true;
+  static stepRule =
+    "The open cell with the most negative Δᵢⱼ = cᵢⱼ − ūᵢ − v̄ⱼ is chosen.";
+
+  constructor(costs, supplies, demands) {
+    this.costs = costs;
+    this.supplies = supplies;
+    this.demands = demands;
+    this.m = supplies.length;
+    this.n = demands.length;
+  }
+
+  /**
+   * Finds the initial plan using Russell's approximation method.
+   * ūᵢ is the largest cost among the open cells of row i and v̄ⱼ the largest
+   * among the open cells of column j. Each step allocates to the open cell
+   * with the most negative Δᵢⱼ and closes exactly one line.
+   */
+  findInitialPlan(onStep) {
+    const currentSupplies = [...this.supplies];
+    const currentDemands = [...this.demands];
+    const plan = Array.from({ length: this.m }, () => Array(this.n).fill(null));
+    const rowOpen = Array(this.m).fill(true);
+    const colOpen = Array(this.n).fill(true);
+    let step = 1;
+
+    while (rowOpen.some(Boolean) && colOpen.some(Boolean)) {
+      const rowMax = rowOpen.map((open, i) =>
+        open ? this.maxOpenCost(i, null, colOpen) : null
+      );
+      const colMax = colOpen.map((open, j) =>
+        open ? this.maxOpenCost(null, j, rowOpen) : null
+      );
+
+      let best = null;
+      for (let i = 0; i < this.m; i++) {
+        if (!rowOpen[i]) continue;
+        for (let j = 0; j < this.n; j++) {
+          if (!colOpen[j]) continue;
+          const cost = this.costs[i][j];
+          const delta = sub(sub(cost, rowMax[i]), colMax[j]);
+          const deltaOrder = best === null ? -1 : compare(delta, best.delta);
+          if (
+            deltaOrder < 0 ||
+            (deltaOrder === 0 && compare(cost, best.cost) < 0)
+          ) {
+            best = { delta, cost, minRow: i, minCol: j };
+          }
+        }
+      }
+
+      const { minRow, minCol } = best;
+      const shipment = min(currentSupplies[minRow], currentDemands[minCol]);
+      plan[minRow][minCol] = shipment;
+      currentSupplies[minRow] = sub(currentSupplies[minRow], shipment);
+      currentDemands[minCol] = sub(currentDemands[minCol], shipment);
+
+      if (!isPositive(currentSupplies[minRow])) {
+        rowOpen[minRow] = false;
+      } else {
+        colOpen[minCol] = false;
+      }
+
+      onStep(
+        step++,
+        plan.map((row) => [...row]),
+        [...currentSupplies],
+        [...currentDemands],
+        {
+          minRow,
+          minCol,
+          penalties: {
+            rowLabel: "ūᵢ",
+            colLabel: "v̄ⱼ",
+            rows: rowMax,
+            cols: colMax,
+          },
+        }
+      );
+    }
+
+    return plan;
+  }
+
+  /**
+   * Largest cost among the open cells of row i (when col is null) or column j
+   */
+  maxOpenCost(i, j, open) {
+    let maxCost = null;
+    open.forEach((isOpen, k) => {
+      const cost = i !== null ? this.costs[i][k] : this.costs[k][j];
+      if (isOpen && (maxCost === null || compare(cost, maxCost) > 0)) {
+        maxCost = cost;
+      }
+    });
+    return maxCost;
+  }
+}
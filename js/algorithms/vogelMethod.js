@@ -0,0 +1,149 @@
+// Module for Vogel's Approximation Method (VAM) algorithm
+
+import { compare, isPositive, min, sub } from "../utils/arithmetic.js";
+
+export class VogelMethod {
+  static displayName = "Vogel's Approximation Method";
+  static logsSteps = true;
+  static stepRule =
+    "The cheapest open cell of the line with the largest penalty is chosen.";
+
+  constructor(costs, supplies, demands) {
+    this.costs = costs;
+    this.supplies = supplies;
+    this.demands = demands;
+    this.m = supplies.length;
+    this.n = demands.length;
+  }
+
+  /**
+   * Finds the initial plan using Vogel's approximation method.
+   * Each step computes row and column penalties (difference between the two
+   * cheapest open cells of the line), picks the line with the largest
+   * penalty and allocates as much as possible to its cheapest open cell.
+   * Exactly one line is closed per step, so the plan has m + n - 1 cells.
+   */
+  findInitialPlan(onStep) {
+    const currentSupplies = [...this.supplies];
+    const currentDemands = [...this.demands];
+    const plan = Array.from({ length: this.m }, () => Array(this.n).fill(null));
+    const rowOpen = Array(this.m).fill(true);
+    const colOpen = Array(this.n).fill(true);
+    let step = 1;
+
+    while (rowOpen.some(Boolean) && colOpen.some(Boolean)) {
+      const rowPenalties = rowOpen.map((open, i) =>
+        open ? this.linePenalty(this.openCosts(i, null, colOpen)) : null
+      );
+      const colPenalties = colOpen.map((open, j) =>
+        open ? this.linePenalty(this.openCosts(null, j, rowOpen)) : null
+      );
+
+      const { minRow, minCol } = this.selectCell(
+        rowPenalties,
+        colPenalties,
+        rowOpen,
+        colOpen
+      );
+
+      const shipment = min(currentSupplies[minRow], currentDemands[minCol]);
+      plan[minRow][minCol] = shipment;
+      currentSupplies[minRow] = sub(currentSupplies[minRow], shipment);
+      currentDemands[minCol] = sub(currentDemands[minCol], shipment);
+
+      if (!isPositive(currentSupplies[minRow])) {
+        rowOpen[minRow] = false;
+      } else {
+        colOpen[minCol] = false;
+      }
+
+      onStep(
+        step++,
+        plan.map((row) => [...row]),
+        [...currentSupplies],
+        [...currentDemands],
+        {
+          minRow,
+          minCol,
+          penalties: {
+            rowLabel: "Penalty",
+            colLabel: "Penalty",
+            rows: rowPenalties,
+            cols: colPenalties,
+          },
+        }
+      );
+    }
+
+    return plan;
+  }
+
+  /**
+   * Costs of the open cells of row i (when col is null) or of column j
+   */
+  openCosts(i, j, open) {
+    const costs = [];
+    open.forEach((isOpen, k) => {
+      if (isOpen) costs.push(i !== null ? this.costs[i][k] : this.costs[k][j]);
+    });
+    return costs.sort(compare);
+  }
+
+  /**
+   * Difference between the two smallest costs; a single open cell
+   * is penalised by its own cost
+   */
+  linePenalty(sortedCosts) {
+    return sortedCosts.length > 1
+      ? sub(sortedCosts[1], sortedCosts[0])
+      : sortedCosts[0];
+  }
+
+  /**
+   * Picks the cheapest open cell of the line with the largest penalty.
+   * Ties are broken by the cheaper cell, then rows before columns.
+   */
+  selectCell(rowPenalties, colPenalties, rowOpen, colOpen) {
+    let best = null;
+
+    const consider = (penalty, row, col) => {
+      const cost = this.costs[row][col];
+      const penaltyOrder = best === null ? 1 : compare(penalty, best.penalty);
+      if (
+        penaltyOrder > 0 ||
+        (penaltyOrder === 0 && compare(cost, best.cost) < 0)
+      ) {
+        best = { penalty, cost, minRow: row, minCol: col };
+      }
+    };
+
+    rowPenalties.forEach((penalty, i) => {
+      if (penalty !== null) {
+        consider(penalty, i, this.cheapestCell(i, null, colOpen));
+      }
+    });
+    colPenalties.forEach((penalty, j) => {
+      if (penalty !== null) {
+        consider(penalty, this.cheapestCell(null, j, rowOpen), j);
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Index of the cheapest open cell in row i (when col is null) or column j
+   */
+  cheapestCell(i, j, open) {
+    let minCost = null;
+    let minIndex = -1;
+    open.forEach((isOpen, k) => {
+      const cost = i !== null ? this.costs[i][k] : this.costs[k][j];
+      if (isOpen && (minCost === null || compare(cost, minCost) < 0)) {
+        minCost = cost;
+        minIndex = k;
+      }
+    });
+    return minIndex;
+  }
+}
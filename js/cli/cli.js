@@ -0,0 +1,391 @@
+// Command-line front end: solves problem files in the JSON or CSV upload format
+
+import { readFileSync } from "node:fs";
+import { basename, extname } from "node:path";
+import {
+  defaultIterationLimit,
+  solveTransportation,
+  solveTransshipment,
+} from "../core/api.js";
+import { isTransshipmentNetwork } from "../core/transshipment.js";
+import { verifyPlan } from "../core/verifier.js";
+import { JSONFileReader } from "../utils/fileReader.js";
+import { CSVFileReader } from "../utils/csvFile.js";
+import { Validator } from "../utils/validator.js";
+import {
+  DEFAULT_DEGENERACY_ID,
+  DEFAULT_INITIAL_PLAN_ID,
+  DEFAULT_METHOD_ID,
+  DEFAULT_PIVOT_RULE_ID,
+  DEGENERACY_METHODS,
+  INITIAL_PLAN_METHODS,
+  PIVOT_RULES,
+  SOLVER_METHODS,
+} from "../core/methodDefinitions.js";
+import {
+  DEFAULT_MAX_ITERATIONS,
+  NETWORK_SIMPLEX_MAX_ITERATIONS,
+} from "../constants.js";
+import { formatPlanCheck, formatResult, OUTPUT_FORMATS } from "./formatters.js";
+
+export const EXIT_CODES = {
+  OK: 0,
+  INVALID_DATA: 1,
+  USAGE: 2,
+  CHECK_FAILED: 3,
+};
+
+/**
+ * Short method name accepted on the command line ("potential-method" -> "potential")
+ */
+function cliMethodName(methodId) {
+  return methodId.replace(/-method$/, "");
+}
+
+const METHOD_NAMES = SOLVER_METHODS.map((method) => cliMethodName(method.id));
+const INITIAL_PLAN_NAMES = INITIAL_PLAN_METHODS.map((method) => method.id);
+const PIVOT_RULE_NAMES = PIVOT_RULES.map((rule) => rule.id);
+const DEGENERACY_NAMES = DEGENERACY_METHODS.map((method) => method.id);
+const FORMAT_NAMES = Object.values(OUTPUT_FORMATS);
+
+const USAGE = `Usage: transport-solve <file.json|file.csv>... [options]
+
+Options:
+  --method <name>    ${METHOD_NAMES.join(" | ")} (default: ${cliMethodName(
+  DEFAULT_METHOD_ID
+)})
+  --initial-plan <name>
+                     ${INITIAL_PLAN_NAMES.join(" | ")}
+                     (potential method only, default: ${DEFAULT_INITIAL_PLAN_ID})
+  --format <name>    ${FORMAT_NAMES.join(" | ")} (default: ${
+  OUTPUT_FORMATS.TABLE
+})
+  --exact            Exact rational arithmetic, answers shown as fractions
+                     (potential method only)
+  --pivot-rule <name>
+                     ${PIVOT_RULE_NAMES.join(" | ")}
+                     (potential method only, default: ${DEFAULT_PIVOT_RULE_ID})
+  --degeneracy <name>
+                     ${DEGENERACY_NAMES.join(" | ")}
+                     (potential method only, default: ${DEFAULT_DEGENERACY_ID})
+  --max-iterations <n>
+                     Iteration limit (default: ${DEFAULT_MAX_ITERATIONS},
+                     network simplex: ${NETWORK_SIMPLEX_MAX_ITERATIONS} pivots)
+  --dummy-cost <x>   Tariff of the dummy row/column of an open problem
+                     (default: 0)
+  --alternatives <n> List up to n alternative optimal plans
+                     (potential method only, default: 0)
+  --check <plan.json>
+                     Verify the given plan of every file instead of solving:
+                     a matrix of shipments (null for an empty cell),
+                     { "plan": matrix } or a saved solution; exits with ${
+                       EXIT_CODES.CHECK_FAILED
+                     } when a check fails
+  --trace            Include the step-by-step solution trace
+  --help             Show this message`;
+
+function resolveMethod(name) {
+  const method = SOLVER_METHODS.find(
+    (item) => item.id === name || cliMethodName(item.id) === name
+  );
+  if (!method) {
+    throw new Error(`Unknown method: ${name}`);
+  }
+  return method.id;
+}
+
+/**
+ * Parses command-line arguments into
+ * { files, method, initialPlan, pivotRule, degeneracy, exact, maxIterations,
+ *   dummyCost, maxAlternativePlans, format, checkPlan, trace, help }
+ */
+export function parseArgs(args) {
+  const options = {
+    files: [],
+    method: DEFAULT_METHOD_ID,
+    initialPlan: DEFAULT_INITIAL_PLAN_ID,
+    pivotRule: DEFAULT_PIVOT_RULE_ID,
+    degeneracy: DEFAULT_DEGENERACY_ID,
+    exact: false,
+    // null: the default limit of the chosen method
+    maxIterations: null,
+    dummyCost: 0,
+    maxAlternativePlans: 0,
+    format: OUTPUT_FORMATS.TABLE,
+    // Path of a plan to verify instead of solving
+    checkPlan: null,
+    trace: false,
+    help: false,
+  };
+
+  for (let k = 0; k < args.length; k++) {
+    const arg = args[k];
+    const [flag, inlineValue] = arg.startsWith("--") ? arg.split("=", 2) : [];
+    const takeValue = () => {
+      if (inlineValue !== undefined) return inlineValue;
+      if (k + 1 >= args.length) {
+        throw new Error(`Option ${flag} requires a value`);
+      }
+      return args[++k];
+    };
+
+    switch (flag) {
+      case undefined:
+        options.files.push(arg);
+        break;
+      case "--method":
+        options.method = resolveMethod(takeValue());
+        break;
+      case "--initial-plan": {
+        const initialPlan = takeValue();
+        if (!INITIAL_PLAN_NAMES.includes(initialPlan)) {
+          throw new Error(`Unknown initial plan method: ${initialPlan}`);
+        }
+        options.initialPlan = initialPlan;
+        break;
+      }
+      case "--pivot-rule": {
+        const pivotRule = takeValue();
+        if (!PIVOT_RULE_NAMES.includes(pivotRule)) {
+          throw new Error(`Unknown pivot rule: ${pivotRule}`);
+        }
+        options.pivotRule = pivotRule;
+        break;
+      }
+      case "--degeneracy": {
+        const degeneracy = takeValue();
+        if (!DEGENERACY_NAMES.includes(degeneracy)) {
+          throw new Error(`Unknown degeneracy handling: ${degeneracy}`);
+        }
+        options.degeneracy = degeneracy;
+        break;
+      }
+      case "--format": {
+        const format = takeValue();
+        if (!FORMAT_NAMES.includes(format)) {
+          throw new Error(`Unknown format: ${format}`);
+        }
+        options.format = format;
+        break;
+      }
+      case "--exact":
+        options.exact = true;
+        break;
+      case "--max-iterations": {
+        const value = takeValue();
+        const maxIterations = Number(value);
+        if (!Number.isInteger(maxIterations) || maxIterations < 1) {
+          throw new Error(`Invalid iteration limit: ${value}`);
+        }
+        options.maxIterations = maxIterations;
+        break;
+      }
+      case "--dummy-cost": {
+        const value = takeValue();
+        const dummyCost = Number(value);
+        if (value.trim() === "" || !Number.isFinite(dummyCost)) {
+          throw new Error(`Invalid dummy cost: ${value}`);
+        }
+        options.dummyCost = dummyCost;
+        break;
+      }
+      case "--alternatives": {
+        const value = takeValue();
+        const maxAlternativePlans = Number(value);
+        if (
+          value.trim() === "" ||
+          !Number.isInteger(maxAlternativePlans) ||
+          maxAlternativePlans < 0
+        ) {
+          throw new Error(`Invalid alternative plan limit: ${value}`);
+        }
+        options.maxAlternativePlans = maxAlternativePlans;
+        break;
+      }
+      case "--check":
+        options.checkPlan = takeValue();
+        break;
+      case "--trace":
+        options.trace = true;
+        break;
+      case "--help":
+        options.help = true;
+        break;
+      default:
+        throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Parses a problem file by its extension (.csv or JSON)
+ */
+function readProblemFile(path) {
+  const text = readFileSync(path, "utf8");
+  return extname(path).toLowerCase() === ".csv"
+    ? CSVFileReader.parseCSV(text)
+    : JSONFileReader.parseJSON(text);
+}
+
+/**
+ * Reads the plan given to --check: a matrix of shipments, { plan } or a
+ * saved solution (see JSONFileWriter)
+ */
+function readPlan(path) {
+  const data = JSON.parse(readFileSync(path, "utf8"));
+  const plan = Array.isArray(data) ? data : data?.plan ?? data?.solution?.plan;
+  if (
+    !Array.isArray(plan) ||
+    plan.some(
+      (row) =>
+        !Array.isArray(row) ||
+        row.some((value) => value !== null && typeof value !== "number")
+    )
+  ) {
+    throw new Error("A plan must be a matrix of numbers (null = empty cell).");
+  }
+  return plan;
+}
+
+/**
+ * Verifies a plan of one transportation problem file. Returns { output },
+ * with failed set when a check fails, or { error } when the file cannot be
+ * read or the plan does not fit it.
+ */
+function checkFile(path, plan, options) {
+  let data;
+  try {
+    data = readProblemFile(path);
+  } catch (error) {
+    return { error: `${path}: ${error.message}` };
+  }
+
+  if (isTransshipmentNetwork(data)) {
+    return {
+      error: `${path}: Plans can be checked only for transportation problems.`,
+    };
+  }
+  const validationError = Validator.validateData(data);
+  if (validationError) {
+    return { error: `${path}: ${validationError}` };
+  }
+
+  let verification;
+  try {
+    verification = verifyPlan(data, plan, { dummyCost: options.dummyCost });
+  } catch (error) {
+    return { error: `${path}: ${error.message}` };
+  }
+
+  return {
+    output: formatPlanCheck(basename(path), verification, options.format),
+    failed: !verification.passed,
+  };
+}
+
+/**
+ * Solves one file (a transportation problem or a transshipment network).
+ * Returns { output } on success or { error } when the file cannot be read,
+ * fails validation or cannot be solved with the requested options.
+ */
+function solveFile(path, options) {
+  let data;
+  try {
+    data = readProblemFile(path);
+  } catch (error) {
+    return { error: `${path}: ${error.message}` };
+  }
+
+  const isNetwork = isTransshipmentNetwork(data);
+  const validationError = isNetwork
+    ? Validator.validateTransshipment(data)
+    : Validator.validateData(data);
+  if (validationError) {
+    return { error: `${path}: ${validationError}` };
+  }
+
+  let result;
+  try {
+    const solve = isNetwork ? solveTransshipment : solveTransportation;
+    result = solve(data, {
+      method: options.method,
+      initialPlan: options.initialPlan,
+      pivotRule: options.pivotRule,
+      degeneracy: options.degeneracy,
+      exact: options.exact,
+      maxIterations:
+        options.maxIterations ?? defaultIterationLimit(options.method),
+      dummyCost: options.dummyCost,
+      maxAlternativePlans: options.maxAlternativePlans,
+    });
+  } catch (error) {
+    return { error: `${path}: ${error.message}` };
+  }
+
+  return {
+    output: formatResult(basename(path), result, options.format, options.trace),
+  };
+}
+
+/**
+ * Runs the tool and returns the process exit code
+ */
+export function runCli(args, io = { out: console.log, err: console.error }) {
+  let options;
+  try {
+    options = parseArgs(args);
+  } catch (error) {
+    io.err(`${error.message}\n\n${USAGE}`);
+    return EXIT_CODES.USAGE;
+  }
+
+  if (options.help) {
+    io.out(USAGE);
+    return EXIT_CODES.OK;
+  }
+  if (options.files.length === 0) {
+    io.err(USAGE);
+    return EXIT_CODES.USAGE;
+  }
+
+  let plan = null;
+  if (options.checkPlan) {
+    try {
+      plan = readPlan(options.checkPlan);
+    } catch (error) {
+      io.err(`${options.checkPlan}: ${error.message}`);
+      return EXIT_CODES.INVALID_DATA;
+    }
+  }
+
+  let exitCode = EXIT_CODES.OK;
+  const outputs = [];
+
+  options.files.forEach((path) => {
+    const { output, error, failed } = plan
+      ? checkFile(path, plan, options)
+      : solveFile(path, options);
+    if (error) {
+      io.err(error);
+      exitCode = EXIT_CODES.INVALID_DATA;
+      return;
+    }
+    if (failed && exitCode === EXIT_CODES.OK) {
+      exitCode = EXIT_CODES.CHECK_FAILED;
+    }
+    outputs.push(output);
+  });
+
+  if (options.format === OUTPUT_FORMATS.JSON) {
+    if (outputs.length > 0) {
+      const json = outputs.length === 1 ? outputs[0] : outputs;
+      io.out(JSON.stringify(json, null, 2));
+    }
+  } else {
+    outputs.forEach((output) => io.out(`${output}\n`));
+  }
+
+  return exitCode;
+}
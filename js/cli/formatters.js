@@ -0,0 +1,352 @@
+// Plain-text renderers of solver results for the command-line tool
+
+import { OBJECTIVE_IDS, SOLVER_METHODS } from "../core/methodDefinitions.js";
+import { formatCompact } from "../utils/numberFormat.js";
+import { compare, sum } from "../utils/arithmetic.js";
+
+export const OUTPUT_FORMATS = {
+  JSON: "json",
+  TABLE: "table",
+  MARKDOWN: "markdown",
+};
+
+/**
+ * Formats a number the way the step tables do (null = empty cell)
+ */
+function formatValue(value) {
+  if (value === null || value === undefined) return "-";
+  return formatCompact(value);
+}
+
+/**
+ * Trims the plain text of a trace entry
+ */
+function plainText(text) {
+  return String(text ?? "").trim();
+}
+
+/**
+ * Plain-text verdict of a balance entry, the way Logger words it
+ */
+function describeBalance({ totalSupply, totalDemand }) {
+  const balance = compare(totalSupply, totalDemand);
+  if (balance === 0) {
+    return `Problem is closed (balanced). Sum of supplies (${totalSupply}) equals sum of demands (${totalDemand}).`;
+  }
+  return `Problem is open (unbalanced). Supply (${totalSupply}) ${
+    balance < 0 ? "<" : ">"
+  } Demand (${totalDemand}).`;
+}
+
+/**
+ * Renders a grid either as aligned text columns or as a markdown table
+ */
+function formatGrid(headers, rows, format) {
+  if (format === OUTPUT_FORMATS.MARKDOWN) {
+    const line = (cells) => `| ${cells.join(" | ")} |`;
+    return [
+      line(headers),
+      line(headers.map(() => "---")),
+      ...rows.map(line),
+    ].join("\n");
+  }
+
+  const widths = headers.map((header, col) =>
+    Math.max(header.length, ...rows.map((row) => String(row[col]).length))
+  );
+  const line = (cells) =>
+    cells
+      .map((cell, col) => String(cell).padStart(widths[col]))
+      .join("  ")
+      .trimEnd();
+  return [line(headers), ...rows.map(line)].join("\n");
+}
+
+function rowLabel(i, isDummy) {
+  return isDummy ? `Supplier ${i + 1} (dummy)` : `Supplier ${i + 1}`;
+}
+
+function columnLabel(j, isDummy) {
+  return isDummy ? `Consumer ${j + 1} (dummy)` : `Consumer ${j + 1}`;
+}
+
+/**
+ * Formats a plan with supplies and demands around it.
+ * cellValue(i, j) decides what each cell shows.
+ */
+function formatPlanGrid(
+  plan,
+  supplies,
+  demands,
+  format,
+  cellValue,
+  isSupplyDummy = false,
+  isDemandDummy = false
+) {
+  const m = plan.length;
+  const n = plan[0].length;
+  const headers = [
+    "",
+    ...Array.from({ length: n }, (_, j) =>
+      columnLabel(j, isDemandDummy && j === n - 1)
+    ),
+    "Supply",
+  ];
+  const rows = Array.from({ length: m }, (_, i) => [
+    rowLabel(i, isSupplyDummy && i === m - 1),
+    ...Array.from({ length: n }, (_, j) => cellValue(i, j)),
+    formatValue(supplies[i]),
+  ]);
+  rows.push([
+    "Demand",
+    ...demands.map((demand) => formatValue(demand)),
+    formatValue(sum(demands)),
+  ]);
+  return formatGrid(headers, rows, format);
+}
+
+function heading(text, level, format) {
+  if (format === OUTPUT_FORMATS.MARKDOWN) {
+    return `${"#".repeat(level)} ${text}`;
+  }
+  return level <= 2 ? `== ${text} ==` : `-- ${text} --`;
+}
+
+/**
+ * Renders one trace entry (see TraceRecorder) as text
+ */
+function formatTraceEntry(entry, format) {
+  const title = entry.title ? heading(plainText(entry.title), 4, format) : "";
+
+  switch (entry.type) {
+    case "header":
+      return [title, plainText(entry.subtitle)].filter(Boolean).join("\n");
+    case "step":
+      return `${title}\n${plainText(entry.details)}`;
+    case "balance":
+      return `${heading("Balance Check", 4, format)}\n${describeBalance(
+        entry
+      )}`;
+    case "list":
+      return [
+        title,
+        plainText(entry.details),
+        entry.items.map((item) => `- ${plainText(item)}`).join("\n"),
+      ]
+        .filter(Boolean)
+        .join("\n");
+    case "success":
+      return plainText(entry.details);
+    case "error":
+      return `${title}\nERROR: ${plainText(entry.details)}`;
+    case "plan":
+      return [
+        title,
+        formatPlanGrid(
+          entry.plan,
+          entry.supplies,
+          entry.demands,
+          format,
+          (i, j) => formatValue(entry.plan[i][j]),
+          entry.isSupplyDummy,
+          entry.isDemandDummy
+        ),
+        `Total ${entry.isProfit ? "profit" : "cost"} (Z) = ${formatValue(
+          entry.totalCost
+        )}`,
+      ].join("\n\n");
+    case "table":
+      return [
+        title,
+        plainText(entry.details),
+        formatPlanGrid(
+          entry.plan,
+          entry.currentSupplies,
+          entry.currentDemands,
+          format,
+          (i, j) => formatValue(entry.plan[i][j])
+        ),
+        entry.penalties
+          ? [
+              `${entry.penalties.rowLabel} (rows): ${entry.penalties.rows
+                .map((penalty) => formatValue(penalty))
+                .join(", ")}`,
+              `${entry.penalties.colLabel} (columns): ${entry.penalties.cols
+                .map((penalty) => formatValue(penalty))
+                .join(", ")}`,
+            ].join("\n")
+          : "",
+      ]
+        .filter(Boolean)
+        .join("\n\n");
+    case "summaryTable":
+      return [
+        title,
+        plainText(entry.details),
+        formatGrid(entry.headers, entry.rows, format),
+      ]
+        .filter(Boolean)
+        .join("\n\n");
+    case "potentials":
+      return [
+        heading("Potentials (u, v)", 4, format),
+        `u: ${entry.u.map((value) => formatValue(value)).join(", ")}`,
+        `v: ${entry.v.map((value) => formatValue(value)).join(", ")}`,
+      ].join("\n\n");
+    case "deltas":
+      return [
+        heading("Δ values of empty cells", 4, format),
+        formatPlanGrid(
+          entry.plan,
+          entry.supplies,
+          entry.demands,
+          format,
+          (i, j) =>
+            entry.plan[i][j] !== null
+              ? `(${formatValue(entry.plan[i][j])})`
+              : formatValue(entry.deltas[i][j])
+        ),
+      ].join("\n\n");
+    case "cycle":
+      return [
+        heading("Reallocation cycle", 4, format),
+        entry.cycle
+          .map(
+            (cell, index) =>
+              `${index % 2 === 0 ? "+" : "-"}(${cell.row + 1}, ${cell.col + 1})`
+          )
+          .join(" → "),
+      ].join("\n\n");
+    default:
+      return "";
+  }
+}
+
+/**
+ * Formats the pass/fail checklist of a plan verification (see verifier.js)
+ */
+export function formatVerification(verification, format) {
+  const bullet = format === OUTPUT_FORMATS.MARKDOWN ? "- " : "";
+  return [
+    `Verification: ${verification.passed ? "passed" : "FAILED"}`,
+    ...verification.checks.map(
+      (check) =>
+        `${bullet}[${check.passed ? "x" : " "}] ${check.label}: ${
+          check.details
+        }`
+    ),
+  ].join("\n");
+}
+
+/**
+ * Formats the verification of a plan given on the command line.
+ * In JSON format the verification is returned as it is.
+ */
+export function formatPlanCheck(fileName, verification, format) {
+  if (format === OUTPUT_FORMATS.JSON) {
+    return { file: fileName, verification };
+  }
+  return [
+    heading(`${fileName} — plan check`, 2, format),
+    formatVerification(verification, format),
+  ].join("\n\n");
+}
+
+function methodLabel(methodId) {
+  return SOLVER_METHODS.find((method) => method.id === methodId)?.label ?? "";
+}
+
+/**
+ * Formats the outcome of one solved file.
+ * In JSON format the trace is included only when requested.
+ */
+export function formatResult(fileName, result, format, includeTrace = false) {
+  if (format === OUTPUT_FORMATS.JSON) {
+    const { trace, ...summary } = result;
+    return includeTrace
+      ? { file: fileName, ...summary, trace }
+      : { file: fileName, ...summary };
+  }
+
+  const blocks = [
+    heading(`${fileName} — ${methodLabel(result.method)}`, 2, format),
+  ];
+
+  if (includeTrace) {
+    blocks.push(
+      ...result.trace
+        .map((entry) => formatTraceEntry(entry, format))
+        .filter(Boolean)
+    );
+    blocks.push(heading("Result", 3, format));
+  }
+
+  blocks.push(`Status: ${result.status}`);
+  if (result.message) blocks.push(result.message);
+
+  if (result.plan) {
+    blocks.push(
+      formatPlanGrid(
+        result.plan,
+        result.supplies,
+        result.demands,
+        format,
+        (i, j) => formatValue(result.plan[i][j]),
+        result.isSupplyDummy,
+        result.isDemandDummy
+      )
+    );
+    const valueName =
+      result.objective === OBJECTIVE_IDS.MAXIMIZE ? "profit" : "cost";
+    blocks.push(`Total ${valueName} (Z) = ${formatValue(result.totalCost)}`);
+  }
+
+  if (result.plan && result.transshipment) {
+    const { nodes, flows } = result.transshipment;
+    const name = (k) => nodes[k].name || `Node ${k + 1}`;
+    blocks.push(
+      [
+        "Node-to-node flows:",
+        ...flows.map(
+          ({ from, to, amount }) =>
+            `  ${name(from)} → ${name(to)}: ${formatValue(amount)}`
+        ),
+      ].join("\n")
+    );
+  }
+
+  if (result.potentials) {
+    const { u, v } = result.potentials;
+    const uStr = u.map((value, i) => `u${i + 1}=${formatValue(value)}`);
+    const vStr = v.map((value, j) => `v${j + 1}=${formatValue(value)}`);
+    blocks.push(`Potentials: ${[...uStr, ...vStr].join("  ")}`);
+  }
+
+  if (result.verification) {
+    blocks.push(formatVerification(result.verification, format));
+  }
+
+  const alternatives = result.alternativeOptima;
+  if (alternatives?.cells.length > 0) {
+    const cells = alternatives.cells.map(
+      ({ row, col }) => `(${row + 1}, ${col + 1})`
+    );
+    blocks.push(`Zero Δ in non-basic cells: ${cells.join(", ")}`);
+    alternatives.plans.forEach((plan, k) =>
+      blocks.push(
+        `Alternative optimal plan ${k + 1}:`,
+        formatPlanGrid(
+          plan,
+          result.supplies,
+          result.demands,
+          format,
+          (i, j) => formatValue(plan[i][j]),
+          result.isSupplyDummy,
+          result.isDemandDummy
+        )
+      )
+    );
+  }
+
+  return blocks.join("\n\n");
+}
@@ -3,7 +3,42 @@
 export const MIN_COST_ROWS = 4;
 export const MIN_COST_COLS = 4;
 export const EPSILON = 1e-9;
-export const MAX_ITERATIONS = 10;
+// Default limit of optimization iterations; can be changed for every run
+export const DEFAULT_MAX_ITERATIONS = 100;
+// The network simplex makes one cheap pivot per iteration and needs many more
+export const NETWORK_SIMPLEX_MAX_ITERATIONS = 1000000;
+// Pivots logged one by one before the network simplex goes quiet
+export const NETWORK_SIMPLEX_LOGGED_PIVOTS = 50;
+// Shortest time between two progress reports of the solver worker
+export const PROGRESS_INTERVAL_MS = 100;
+// Perturbation ε added to the supplies to prevent degenerate plans, as a share
+// of the smallest positive supply or demand
+export const PERTURBATION_EPSILON = 1e-6;
+// A floating point ε must exceed the rounding error of the total amount by
+// this factor, otherwise the problem is not perturbed
+export const PERTURBATION_ROUNDING_MARGIN = 1000;
+
+// Bases explored per requested alternative optimal plan; degenerate pivots
+// change the basis without changing the plan
+export const ALTERNATIVE_SEARCH_FACTOR = 10;
+
+// Outcome of a solver run, reported in the structured result
+export const SOLUTION_STATUS = {
+  OPTIMAL: "optimal",
+  FAILED: "failed",
+  ITERATION_LIMIT: "iteration-limit",
+  CYCLING: "cycling",
+  INFEASIBLE: "infeasible",
+};
+
+// Names of the outcomes in the result tables of the page
+export const SOLUTION_STATUS_LABELS = {
+  [SOLUTION_STATUS.OPTIMAL]: "Оптимальний план",
+  [SOLUTION_STATUS.FAILED]: "Помилка розв'язання",
+  [SOLUTION_STATUS.ITERATION_LIMIT]: "Вичерпано ліміт ітерацій",
+  [SOLUTION_STATUS.CYCLING]: "Зациклення",
+  [SOLUTION_STATUS.INFEASIBLE]: "Допустимого плану немає",
+};
 
 // JSON file names
 export const JSON_FILES = {
@@ -23,13 +58,64 @@ export const DEFAULT_COSTS = [
 export const DEFAULT_SUPPLIES = [43, 20, 30, 32];
 export const DEFAULT_DEMANDS = [18, 50, 22, 35];
 
+// Default transshipment network: two factories, a warehouse and three shops
+// (null = no route between the nodes)
+export const DEFAULT_NETWORK = {
+  nodes: [
+    { name: "Factory 1", type: "source", amount: 120 },
+    { name: "Factory 2", type: "source", amount: 80 },
+    { name: "Warehouse", type: "transshipment", buffer: 150 },
+    { name: "Shop 1", type: "sink", amount: 70 },
+    { name: "Shop 2", type: "sink", amount: 90 },
+    { name: "Shop 3", type: "sink", amount: 40 },
+  ],
+  costs: [
+    [null, null, 2, 9, 11, null],
+    [null, null, 3, null, 8, 10],
+    [null, null, null, 4, 3, 5],
+    [null, null, null, null, null, null],
+    [null, null, null, null, null, null],
+    [null, null, null, null, null, null],
+  ],
+};
+
 // DOM element IDs
 export const DOM_IDS = {
   MATRIX_CONTAINER: "matrix-container",
   OUTPUT_CONTAINER: "output-container",
   SOLVE_BUTTON: "solve-button",
+  EXPORT_PROBLEM_CSV: "export-problem-csv",
+  EXPORT_PLAN_CSV: "export-plan-csv",
+  SAVE_PROBLEM: "save-problem",
+  SAVE_SOLUTION: "save-solution",
+  COMPARE_METHODS_BUTTON: "compare-methods-button",
+  PLAN_INPUT: "plan-input",
+  CHECK_PLAN_BUTTON: "check-plan-button",
+  SOLVE_STATUS: "solve-status",
+  SOLVE_PROGRESS: "solve-progress",
+  CANCEL_SOLVE: "cancel-solve",
   METHOD_SELECT: "method-select",
   METHOD_DESCRIPTION: "method-description",
+  INITIAL_PLAN_SELECT: "initial-plan-select",
+  INITIAL_PLAN_DESCRIPTION: "initial-plan-description",
+  EXACT_MODE: "exact-mode",
+  MAX_ITERATIONS: "max-iterations",
+  DUMMY_COST: "dummy-cost",
+  ALTERNATIVE_PLANS: "alternative-plans",
+  PROBLEM_TYPE_SELECT: "problem-type-select",
+  PROBLEM_TYPE_DESCRIPTION: "problem-type-description",
+  TRANSPORTATION_EDITOR: "transportation-editor",
+  TRANSSHIPMENT_EDITOR: "transshipment-editor",
+  TRANSSHIPMENT_CONTAINER: "transshipment-container",
+  ADD_NODE: "add-node",
+  CAPACITIES_TOGGLE: "capacities-toggle",
+  LOWER_BOUNDS_TOGGLE: "lower-bounds-toggle",
+  OBJECTIVE_SELECT: "objective-select",
+  OBJECTIVE_DESCRIPTION: "objective-description",
+  PIVOT_RULE_SELECT: "pivot-rule-select",
+  PIVOT_RULE_DESCRIPTION: "pivot-rule-description",
+  DEGENERACY_SELECT: "degeneracy-select",
+  DEGENERACY_DESCRIPTION: "degeneracy-description",
   JSON_UPLOAD: "json-upload",
   FILE_STATUS: "file-status",
   MESSAGE_BOX: "message-box",
@@ -0,0 +1,265 @@
+// DOM-free entry point: solves a problem and returns a structured result
+
+import { TransportationProblemSolver } from "./solver.js";
+import { TraceRecorder } from "./traceRecorder.js";
+import { logVerification, verifyResult } from "./verifier.js";
+import { DifferentialRentMethod } from "../algorithms/differentialRentMethod.js";
+import { HungarianMethod } from "../algorithms/hungarianMethod.js";
+import { NetworkSimplexMethod } from "../algorithms/networkSimplexMethod.js";
+import { Validator } from "../utils/validator.js";
+import { toExactProblem } from "../utils/arithmetic.js";
+import { hasCapacities } from "./routeCapacities.js";
+import { hasLowerBounds } from "./lowerBounds.js";
+import {
+  findThroughput,
+  logConversion,
+  logFlows,
+  mapFlowsToRoutes,
+  nodeName,
+  toTransportationProblem,
+} from "./transshipment.js";
+import {
+  DEFAULT_METHOD_ID,
+  METHOD_IDS,
+  METHOD_RESTRICTION_IDS,
+  OBJECTIVE_IDS,
+} from "./methodDefinitions.js";
+import {
+  DEFAULT_MAX_ITERATIONS,
+  NETWORK_SIMPLEX_MAX_ITERATIONS,
+} from "../constants.js";
+
+const METHOD_RUNNERS = {
+  [METHOD_IDS.POTENTIAL]: (problem, recorder, options) =>
+    new TransportationProblemSolver(
+      problem.costs,
+      problem.supplies,
+      problem.demands,
+      recorder,
+      {
+        initialPlan: options.initialPlan,
+        maxIterations: options.maxIterations,
+        pivotRule: options.pivotRule,
+        degeneracy: options.degeneracy,
+        dummyCost: options.dummyCost,
+        capacities: problem.capacities,
+        lowerBounds: problem.lowerBounds,
+        objective: problem.objective,
+        maxAlternativePlans: options.maxAlternativePlans,
+        network: options.network,
+      }
+    ).solve(),
+  [METHOD_IDS.DIFFERENTIAL_RENT]: (problem, recorder, options) =>
+    new DifferentialRentMethod(
+      problem.costs,
+      problem.supplies,
+      problem.demands,
+      recorder,
+      { maxIterations: options.maxIterations, dummyCost: options.dummyCost }
+    ).solve(),
+  [METHOD_IDS.HUNGARIAN]: (problem, recorder, options) =>
+    new HungarianMethod(
+      problem.costs,
+      problem.supplies,
+      problem.demands,
+      recorder,
+      { maxIterations: options.maxIterations, dummyCost: options.dummyCost }
+    ).solve(),
+  [METHOD_IDS.NETWORK_SIMPLEX]: (problem, recorder, options) =>
+    new NetworkSimplexMethod(
+      problem.costs,
+      problem.supplies,
+      problem.demands,
+      recorder,
+      { maxIterations: options.maxIterations, dummyCost: options.dummyCost }
+    ).solve(),
+};
+
+/**
+ * Iteration limit of a method when none is given: the network simplex
+ * counts single pivots and gets a much larger one
+ */
+export function defaultIterationLimit(method) {
+  return method === METHOD_IDS.NETWORK_SIMPLEX
+    ? NETWORK_SIMPLEX_MAX_ITERATIONS
+    : DEFAULT_MAX_ITERATIONS;
+}
+
+/**
+ * Why the method cannot take the problem: { id, message } with an id of
+ * METHOD_RESTRICTION_IDS, or null when it can
+ */
+export function findMethodRestriction(problem, method, exact = false) {
+  if (method === METHOD_IDS.HUNGARIAN) {
+    const assignmentError = Validator.validateAssignment(problem);
+    if (assignmentError) {
+      return {
+        id: METHOD_RESTRICTION_IDS.ASSIGNMENT_ONLY,
+        message: assignmentError,
+      };
+    }
+  }
+
+  if (method === METHOD_IDS.POTENTIAL) return null;
+
+  if (exact) {
+    return {
+      id: METHOD_RESTRICTION_IDS.EXACT,
+      message: "Exact arithmetic is available only for the potential method.",
+    };
+  }
+
+  if (hasCapacities(problem.capacities)) {
+    return {
+      id: METHOD_RESTRICTION_IDS.CAPACITIES,
+      message: "Route capacities are supported only by the potential method.",
+    };
+  }
+
+  if (hasLowerBounds(problem.lowerBounds)) {
+    return {
+      id: METHOD_RESTRICTION_IDS.LOWER_BOUNDS,
+      message: "Minimum shipments are supported only by the potential method.",
+    };
+  }
+
+  if (problem.objective === OBJECTIVE_IDS.MAXIMIZE) {
+    return {
+      id: METHOD_RESTRICTION_IDS.MAXIMIZATION,
+      message: "Maximization is supported only by the potential method.",
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Solves a transportation problem
+ * { costs, supplies, demands, capacities?, lowerBounds?, objective? }, where
+ * the optional matrices bound the shipment of every route (null = unbounded)
+ * and objective "maximize" (OBJECTIVE_IDS) treats costs as profits.
+ * Options: method (METHOD_IDS; the Hungarian method takes assignment
+ * problems only, with every supply and demand equal to 1),
+ * initialPlan (INITIAL_PLAN_IDS, potentials only),
+ * pivotRule (PIVOT_RULE_IDS) and degeneracy (DEGENERACY_IDS), potentials only,
+ * exact (run on Fractions and report exact rational answers, potentials only),
+ * maxIterations (iteration limit, defaultIterationLimit(method) when omitted),
+ * dummyCost (tariff of the dummy row/column of an open problem, 0 by default),
+ * maxAlternativePlans (alternative optimal plans to list, potentials only,
+ * 0 by default), onTraceEntry (receives every trace entry as it is recorded)
+ * and onProgress (receives { stage, iteration, cost } reports of long runs).
+ * Returns the result of the chosen method together with the step trace,
+ * which can be rendered by Logger.render() or consumed directly, and the
+ * verification of its plan by verifier.js (null when there is no plan).
+ */
+export function solveTransportation(problem, options = {}) {
+  const {
+    method = DEFAULT_METHOD_ID,
+    exact = false,
+    maxIterations = defaultIterationLimit(method),
+    dummyCost = 0,
+    maxAlternativePlans = 0,
+    onTraceEntry = null,
+    onProgress = null,
+  } = options;
+
+  const validationError = Validator.validateData(problem);
+  if (validationError) {
+    throw new Error(validationError);
+  }
+
+  const runner = METHOD_RUNNERS[method];
+  if (!runner) {
+    throw new Error(`Unknown solving method: ${method}`);
+  }
+
+  const restriction = findMethodRestriction(problem, method, exact);
+  if (restriction) {
+    throw new Error(restriction.message);
+  }
+
+  if (!Number.isInteger(maxIterations) || maxIterations < 1) {
+    throw new Error("Iteration limit must be a positive integer.");
+  }
+
+  if (typeof dummyCost !== "number" || !Number.isFinite(dummyCost)) {
+    throw new Error("Dummy cost must be a finite number.");
+  }
+
+  if (!Number.isInteger(maxAlternativePlans) || maxAlternativePlans < 0) {
+    throw new Error("Alternative plan limit must be a non-negative integer.");
+  }
+
+  const recorder = new TraceRecorder(onTraceEntry, onProgress);
+  const solvable = exact ? { ...problem, ...toExactProblem(problem) } : problem;
+  const result = runner(solvable, recorder, {
+    ...options,
+    maxIterations,
+    dummyCost,
+    maxAlternativePlans,
+  });
+
+  // Every plan is checked independently of the method that produced it
+  const verification = verifyResult(result);
+  if (verification) logVerification(recorder, verification);
+
+  return {
+    ...result,
+    verification,
+    method,
+    exact,
+    maxIterations,
+    trace: recorder.entries,
+  };
+}
+
+/**
+ * Solves a transshipment network { nodes, costs } (see transshipment.js)
+ * through its equivalent transportation table with the potential method.
+ * Takes the options of solveTransportation(); the result also carries
+ * transshipment: { nodes, rowNodes, columnNodes, flows, throughput }, with
+ * the flows given along the original node-to-node routes.
+ */
+export function solveTransshipment(network, options = {}) {
+  const validationError = Validator.validateTransshipment(network);
+  if (validationError) {
+    throw new Error(validationError);
+  }
+
+  const { method = METHOD_IDS.POTENTIAL, onTraceEntry = null } = options;
+  if (method !== METHOD_IDS.POTENTIAL) {
+    throw new Error(
+      "Transshipment problems are solved only by the potential method."
+    );
+  }
+
+  const conversion = toTransportationProblem(network);
+  const intro = new TraceRecorder(onTraceEntry);
+  logConversion(intro, network, conversion);
+
+  const result = solveTransportation(conversion.problem, {
+    ...options,
+    network: {
+      names: network.nodes.map((_, k) => nodeName(network.nodes, k)),
+      rowNodes: conversion.rowNodes,
+      columnNodes: conversion.columnNodes,
+    },
+  });
+
+  const report = new TraceRecorder(onTraceEntry);
+  const flows = result.plan ? mapFlowsToRoutes(result.plan, conversion) : [];
+  const throughput = result.plan ? findThroughput(network.nodes, flows) : [];
+  if (result.plan) logFlows(report, network, flows, throughput);
+
+  return {
+    ...result,
+    transshipment: {
+      nodes: network.nodes.map((node) => ({ ...node })),
+      rowNodes: conversion.rowNodes,
+      columnNodes: conversion.columnNodes,
+      flows,
+      throughput,
+    },
+    trace: [...intro.entries, ...result.trace, ...report.entries],
+  };
+}
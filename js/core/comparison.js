@@ -0,0 +1,132 @@
+// Runs several solver configurations on the same problem and compares them
+
+import { findMethodRestriction, solveTransportation } from "./api.js";
+import {
+  INITIAL_PLAN_METHODS,
+  METHOD_IDS,
+  SOLVER_METHODS,
+} from "./methodDefinitions.js";
+import { SOLUTION_STATUS } from "../constants.js";
+import { compare } from "../utils/arithmetic.js";
+
+/**
+ * Builds every available initial plan and optimizes each with the
+ * potential method. Returns one row per initial plan method; the initial
+ * plan fields are null when the problem is infeasible before any plan is
+ * built.
+ */
+export function compareInitialPlans(problem, options = {}) {
+  return INITIAL_PLAN_METHODS.map((initialPlanMethod) => {
+    const result = solveTransportation(problem, {
+      ...options,
+      method: METHOD_IDS.POTENTIAL,
+      initialPlan: initialPlanMethod.id,
+    });
+    const summary = result.initialPlanSummary;
+
+    return {
+      id: initialPlanMethod.id,
+      label: initialPlanMethod.label,
+      initialCost: summary?.totalCost ?? null,
+      basicCells: summary?.basicCells ?? null,
+      requiredCells: summary?.requiredCells ?? null,
+      isDegenerate: summary?.isDegenerate ?? null,
+      iterations: result.iterations,
+      status: result.status,
+      finalCost: result.totalCost,
+    };
+  });
+}
+
+/**
+ * True when two plans ship the same amounts along the routes of the
+ * original m × n table (empty cells count as zero shipments)
+ */
+function plansMatch(a, b, m, n) {
+  for (let i = 0; i < m; i++) {
+    for (let j = 0; j < n; j++) {
+      if (compare(a[i][j] ?? 0, b[i][j] ?? 0) !== 0) return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Solves the problem with every method of SOLVER_METHODS. A given
+ * maxIterations applies to every method, otherwise each runs with its own
+ * default limit; exact arithmetic, the initial plan, the pivot rule and the
+ * degeneracy handling apply to the potential method only. Every row tells
+ * the maxIterations and exact it ran with. A method that cannot take the
+ * problem gets status null, the reason as its message and the
+ * METHOD_RESTRICTION_IDS id of the reason as restriction (null for
+ * unexpected errors). Costs and plans are compared with the first optimal
+ * row (costMatches, planMatches; null for the other rows and when no method
+ * found an optimum).
+ */
+export function compareMethods(problem, options = {}) {
+  const { exact = false, maxIterations, ...sharedOptions } = options;
+  const rows = SOLVER_METHODS.map(({ id, label }) => {
+    const notApplicable = (restriction, message) => ({
+      id,
+      label,
+      status: null,
+      restriction,
+      message,
+      totalCost: null,
+      plan: null,
+      iterations: 0,
+      maxIterations: null,
+      exact: null,
+      time: 0,
+      verified: null,
+    });
+    const start = performance.now();
+    try {
+      const restriction = findMethodRestriction(problem, id);
+      if (restriction) {
+        return notApplicable(restriction.id, restriction.message);
+      }
+      const result = solveTransportation(problem, {
+        ...sharedOptions,
+        maxIterations,
+        method: id,
+        exact: exact && id === METHOD_IDS.POTENTIAL,
+      });
+      return {
+        id,
+        label,
+        status: result.status,
+        restriction: null,
+        message: result.message,
+        totalCost: result.totalCost,
+        plan: result.plan,
+        iterations: result.iterations,
+        maxIterations: result.maxIterations,
+        exact: result.exact,
+        time: performance.now() - start,
+        verified: result.verification?.passed ?? null,
+      };
+    } catch (error) {
+      return {
+        ...notApplicable(null, error.message),
+        time: performance.now() - start,
+      };
+    }
+  });
+
+  const m = problem.supplies.length;
+  const n = problem.demands.length;
+  const isOptimal = (row) => row.status === SOLUTION_STATUS.OPTIMAL;
+  const reference = rows.find(isOptimal);
+  return rows.map((row) => ({
+    ...row,
+    costMatches:
+      reference && isOptimal(row)
+        ? compare(row.totalCost, reference.totalCost) === 0
+        : null,
+    planMatches:
+      reference && isOptimal(row)
+        ? plansMatch(row.plan, reference.plan, m, n)
+        : null,
+  }));
+}
@@ -0,0 +1,110 @@
+// Module for forbidden routes: cells that cannot carry any shipment.
+// Solvers replace them by a prohibitive cost M ("big-M") and report the
+// problem as infeasible when the optimal plan still has to use one of them.
+
+import { Cell } from "../models/cell.js";
+import { Fraction } from "../models/fraction.js";
+import {
+  add,
+  compare,
+  isPositive,
+  mul,
+  sub,
+  sum,
+} from "../utils/arithmetic.js";
+
+// Text accepted instead of a cost to mark a forbidden route
+export const FORBIDDEN_MARK = "X";
+
+export function isForbiddenMark(value) {
+  return (
+    value === null ||
+    (typeof value === "string" && value.trim().toUpperCase() === FORBIDDEN_MARK)
+  );
+}
+
+/**
+ * Boolean matrix of forbidden cells (costs given as null)
+ */
+export function findForbiddenCells(costs) {
+  return costs.map((row) => row.map((cost) => cost === null));
+}
+
+function gcd(a, b) {
+  return b === 0n ? a : gcd(b, a % b);
+}
+
+/**
+ * Least common denominator of the given values; basic shipments are
+ * multiples of its reciprocal
+ */
+function commonDenominator(values) {
+  return values.reduce((result, value) => {
+    const { denominator } = Fraction.from(value);
+    return (result / gcd(result, denominator)) * denominator;
+  }, 1n);
+}
+
+/**
+ * Cost M large enough that any plan shipping along a forbidden route is more
+ * expensive than every plan that avoids them: M > (max c − min c)·T·L + max c,
+ * where T is the total shipment and 1/L the smallest positive basic shipment.
+ * extraCosts are finite costs added later (e.g. the dummy row/column).
+ */
+export function computeBigM(costs, supplies, demands, extraCosts = []) {
+  const finiteCosts = [
+    ...costs.flat().filter((cost) => cost !== null),
+    ...extraCosts,
+  ];
+  const maxCost = finiteCosts.reduce(
+    (best, cost) => (compare(cost, best) > 0 ? cost : best),
+    0
+  );
+  const minCost = finiteCosts.reduce(
+    (best, cost) => (compare(cost, best) < 0 ? cost : best),
+    maxCost
+  );
+  const totalSupply = sum(supplies);
+  const totalDemand = sum(demands);
+  const total =
+    compare(totalSupply, totalDemand) > 0 ? totalSupply : totalDemand;
+  const scale = commonDenominator([...supplies, ...demands]);
+  const scaleValue =
+    total instanceof Fraction ? new Fraction(scale) : Number(scale);
+
+  return add(
+    add(mul(mul(sub(maxCost, minCost), total), scaleValue), maxCost),
+    1
+  );
+}
+
+/**
+ * Copy of the cost matrix with every forbidden cell set to M
+ */
+export function applyBigM(costs, bigM) {
+  return costs.map((row) => row.map((cost) => (cost === null ? bigM : cost)));
+}
+
+/**
+ * Forbidden cells that carry a positive shipment in the plan
+ */
+export function findForbiddenShipments(plan, forbidden) {
+  const cells = [];
+  forbidden.forEach((row, i) =>
+    row.forEach((isForbidden, j) => {
+      if (isForbidden && plan[i][j] !== null && isPositive(plan[i][j])) {
+        cells.push(new Cell(i, j));
+      }
+    })
+  );
+  return cells;
+}
+
+/**
+ * "(Supplier 1, Consumer 2), ..." for log messages
+ */
+export function formatRoutes(cells) {
+  return cells
+    .map(({ row, col }) => `(Supplier ${row + 1}, Consumer ${col + 1})`)
+    .join(", ");
+}
@@ -0,0 +1,89 @@
+// Module for minimum shipment contracts: lower bounds on route shipments.
+// The lower bounds are shipped in advance, the reduced problem is solved and
+// the mandatory amounts are added back to the final plan.
+
+import { Cell } from "../models/cell.js";
+import {
+  add,
+  compare,
+  isPositive,
+  sub,
+  zeroLike,
+} from "../utils/arithmetic.js";
+
+/**
+ * True when at least one route has a positive minimum shipment
+ */
+export function hasLowerBounds(lowerBounds) {
+  return (
+    Array.isArray(lowerBounds) &&
+    lowerBounds.some((row) =>
+      row.some((bound) => bound !== null && isPositive(bound))
+    )
+  );
+}
+
+/**
+ * Cells with a positive minimum shipment
+ */
+export function findMandatoryRoutes(lowerBounds) {
+  const cells = [];
+  lowerBounds.forEach((row, i) =>
+    row.forEach((bound, j) => {
+      if (bound !== null && isPositive(bound)) cells.push(new Cell(i, j));
+    })
+  );
+  return cells;
+}
+
+/**
+ * Ships the lower bounds in advance. Returns the reduced supplies, demands
+ * and capacities, or { error } when the mandatory shipments of a supplier
+ * or consumer exceed its supply or demand.
+ */
+export function setAsideLowerBounds(
+  lowerBounds,
+  supplies,
+  demands,
+  capacities
+) {
+  const bound = (i, j) => lowerBounds[i][j] ?? zeroLike(supplies[0]);
+  const rowTotals = supplies.map((_, i) =>
+    demands.reduce((total, _, j) => add(total, bound(i, j)), 0)
+  );
+  const columnTotals = demands.map((_, j) =>
+    supplies.reduce((total, _, i) => add(total, bound(i, j)), 0)
+  );
+
+  const supplier = rowTotals.findIndex(
+    (total, i) => compare(total, supplies[i]) > 0
+  );
+  if (supplier !== -1) {
+    return {
+      error: `Mandatory shipments from Supplier ${supplier + 1} (${
+        rowTotals[supplier]
+      }) exceed its supply (${supplies[supplier]}).`,
+    };
+  }
+  const consumer = columnTotals.findIndex(
+    (total, j) => compare(total, demands[j]) > 0
+  );
+  if (consumer !== -1) {
+    return {
+      error: `Mandatory shipments to Consumer ${consumer + 1} (${
+        columnTotals[consumer]
+      }) exceed its demand (${demands[consumer]}).`,
+    };
+  }
+
+  return {
+    supplies: supplies.map((supply, i) => sub(supply, rowTotals[i])),
+    demands: demands.map((demand, j) => sub(demand, columnTotals[j])),
+    capacities:
+      capacities?.map((row, i) =>
+        row.map((capacity, j) =>
+          capacity === null ? null : sub(capacity, bound(i, j))
+        )
+      ) ?? null,
+  };
+}
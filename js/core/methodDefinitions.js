@@ -1,6 +1,8 @@
 export const METHOD_IDS = {
   POTENTIAL: "potential-method",
   DIFFERENTIAL_RENT: "differential-rent-method",
+  HUNGARIAN: "hungarian-method",
+  NETWORK_SIMPLEX: "network-simplex-method",
 };
 
 export const SOLVER_METHODS = [
@@ -16,6 +18,210 @@ export const SOLVER_METHODS = [
     description:
       "Алгоритм диференціальних рент, що ітеративно коригує тарифи та будує умовно оптимальні розподіли.",
   },
+  {
+    id: METHOD_IDS.HUNGARIAN,
+    label: "Угорський метод (задача про призначення)",
+    description:
+      "Для задач про призначення, де всі запаси й потреби дорівнюють 1. Зводить рядки й стовпці матриці, покриває нулі мінімальною кількістю ліній і коригує матрицю, доки не знайдеться повне призначення.",
+  },
+  {
+    id: METHOD_IDS.NETWORK_SIMPLEX,
+    label: "Мережевий симплекс-метод",
+    description:
+      "Метод потенціалів, у якому базис зберігається як остовне дерево, а потенціали оновлюються лише для переміщеного піддерева. Розрахований на великі задачі (сотні рядків і стовпців); журнал містить лише перші кроки.",
+  },
 ];
 
 export const DEFAULT_METHOD_ID = METHOD_IDS.POTENTIAL;
+
+// Reasons a method cannot take a problem (see findMethodRestriction in api.js)
+export const METHOD_RESTRICTION_IDS = {
+  ASSIGNMENT_ONLY: "assignment-only",
+  EXACT: "exact",
+  CAPACITIES: "capacities",
+  LOWER_BOUNDS: "lower-bounds",
+  MAXIMIZATION: "maximization",
+};
+
+export const METHOD_RESTRICTIONS = [
+  {
+    id: METHOD_RESTRICTION_IDS.ASSIGNMENT_ONLY,
+    label:
+      "метод розв'язує лише задачі про призначення, де всі запаси й потреби дорівнюють 1",
+  },
+  {
+    id: METHOD_RESTRICTION_IDS.EXACT,
+    label: "точна арифметика доступна лише для методу потенціалів",
+  },
+  {
+    id: METHOD_RESTRICTION_IDS.CAPACITIES,
+    label:
+      "обмеження пропускної здатності маршрутів підтримує лише метод потенціалів",
+  },
+  {
+    id: METHOD_RESTRICTION_IDS.LOWER_BOUNDS,
+    label: "мінімальні перевезення підтримує лише метод потенціалів",
+  },
+  {
+    id: METHOD_RESTRICTION_IDS.MAXIMIZATION,
+    label: "максимізацію прибутку підтримує лише метод потенціалів",
+  },
+];
+
+export const INITIAL_PLAN_IDS = {
+  MIN_ELEMENT: "min-element",
+  NORTH_WEST_CORNER: "north-west-corner",
+  ROW_MINIMUM: "row-minimum",
+  COLUMN_MINIMUM: "column-minimum",
+  VOGEL: "vogel",
+  RUSSELL: "russell",
+};
+
+export const INITIAL_PLAN_METHODS = [
+  {
+    id: INITIAL_PLAN_IDS.MIN_ELEMENT,
+    label: "Метод мінімального елемента",
+    description:
+      "Заповнює клітинки у порядку зростання тарифів по всій таблиці.",
+  },
+  {
+    id: INITIAL_PLAN_IDS.NORTH_WEST_CORNER,
+    label: "Метод північно-західного кута",
+    description:
+      "Заповнює таблицю від лівої верхньої клітинки, не враховуючи тарифи.",
+  },
+  {
+    id: INITIAL_PLAN_IDS.ROW_MINIMUM,
+    label: "Метод мінімального елемента в рядку",
+    description:
+      "Рядок за рядком відправляє вантаж у клітинку з найменшим тарифом у рядку.",
+  },
+  {
+    id: INITIAL_PLAN_IDS.COLUMN_MINIMUM,
+    label: "Метод мінімального елемента в стовпці",
+    description:
+      "Стовпець за стовпцем забирає вантаж із клітинки з найменшим тарифом у стовпці.",
+  },
+  {
+    id: INITIAL_PLAN_IDS.VOGEL,
+    label: "Метод апроксимації Фогеля",
+    description:
+      "На кожному кроці обчислює штрафи рядків і стовпців та заповнює найдешевшу клітинку лінії з найбільшим штрафом.",
+  },
+  {
+    id: INITIAL_PLAN_IDS.RUSSELL,
+    label: "Метод апроксимації Рассела",
+    description:
+      "Оцінює кожну вільну клітинку як Δᵢⱼ = cᵢⱼ − ūᵢ − v̄ⱼ (найбільші тарифи рядка й стовпця) та заповнює клітинку з найменшою оцінкою.",
+  },
+];
+
+export const DEFAULT_INITIAL_PLAN_ID = INITIAL_PLAN_IDS.MIN_ELEMENT;
+
+// Pseudo initial plan option: build every plan and compare them
+export const COMPARE_ALL_INITIAL_PLANS = {
+  id: "compare-all",
+  label: "Порівняти всі методи",
+  description:
+    "Будує опорні плани всіма методами, оптимізує кожен методом потенціалів і показує таблицю порівняння.",
+};
+
+export const PIVOT_RULE_IDS = {
+  LARGEST_DELTA: "largest-delta",
+  BLAND: "bland",
+};
+
+export const PIVOT_RULES = [
+  {
+    id: PIVOT_RULE_IDS.LARGEST_DELTA,
+    label: "Найбільша оцінка Δ",
+    description:
+      "До базису вводиться клітинка з найбільшою додатною оцінкою Δᵢⱼ. Зазвичай потребує найменше ітерацій, але на вироджених задачах може зациклитися.",
+  },
+  {
+    id: PIVOT_RULE_IDS.BLAND,
+    label: "Правило Бленда (лексикографічне)",
+    description:
+      "Вводиться перша клітинка з додатною оцінкою, а виводиться перша з найменшим θ (за порядком рядків і стовпців). Гарантує завершення без зациклення.",
+  },
+];
+
+export const DEFAULT_PIVOT_RULE_ID = PIVOT_RULE_IDS.LARGEST_DELTA;
+
+export const DEGENERACY_IDS = {
+  ZERO_CELLS: "zero-cells",
+  PERTURBATION: "perturbation",
+};
+
+export const DEGENERACY_METHODS = [
+  {
+    id: DEGENERACY_IDS.ZERO_CELLS,
+    label: "Нульові перевезення",
+    description:
+      "Відсутні базисні клітинки доповнюються нульовими перевезеннями у найдешевші клітинки, що не утворюють циклу.",
+  },
+  {
+    id: DEGENERACY_IDS.PERTURBATION,
+    label: "ε-збурення",
+    description:
+      "Запаси збільшуються на ε (мільйонна частка найменшого запасу чи потреби), а остання потреба на mε, тож жоден план не вироджується. Після оптимізації ε покладається рівним нулю. Якщо у звичайній арифметиці ε губиться в похибці округлення, задача не збурюється.",
+  },
+];
+
+export const DEFAULT_DEGENERACY_ID = DEGENERACY_IDS.ZERO_CELLS;
+
+export const OBJECTIVE_IDS = {
+  MINIMIZE: "minimize",
+  MAXIMIZE: "maximize",
+};
+
+export const OBJECTIVES = [
+  {
+    id: OBJECTIVE_IDS.MINIMIZE,
+    label: "Мінімізація вартості",
+    description:
+      "Матриця містить тарифи перевезень, шукається найдешевший план.",
+  },
+  {
+    id: OBJECTIVE_IDS.MAXIMIZE,
+    label: "Максимізація прибутку",
+    description:
+      "Матриця містить прибуток з одиниці товару на кожному маршруті (може бути від'ємним), шукається найприбутковіший план.",
+  },
+];
+
+export const DEFAULT_OBJECTIVE_ID = OBJECTIVE_IDS.MINIMIZE;
+
+export const PROBLEM_TYPE_IDS = {
+  TRANSPORTATION: "transportation",
+  TRANSSHIPMENT: "transshipment",
+};
+
+export const PROBLEM_TYPES = [
+  {
+    id: PROBLEM_TYPE_IDS.TRANSPORTATION,
+    label: "Транспортна задача",
+    description:
+      "Постачальники відправляють вантаж безпосередньо споживачам за матрицею тарифів.",
+  },
+  {
+    id: PROBLEM_TYPE_IDS.TRANSSHIPMENT,
+    label: "Задача з проміжними пунктами",
+    description:
+      "Мережа з джерел, споживачів і складів перевалки з тарифами між будь-якими пунктами. Зводиться до збалансованої транспортної задачі й розв'язується методом потенціалів.",
+  },
+];
+
+export const DEFAULT_PROBLEM_TYPE_ID = PROBLEM_TYPE_IDS.TRANSPORTATION;
+
+export const NODE_TYPE_IDS = {
+  SOURCE: "source",
+  TRANSSHIPMENT: "transshipment",
+  SINK: "sink",
+};
+
+export const NODE_TYPES = [
+  { id: NODE_TYPE_IDS.SOURCE, label: "Джерело" },
+  { id: NODE_TYPE_IDS.TRANSSHIPMENT, label: "Пункт перевалки" },
+  { id: NODE_TYPE_IDS.SINK, label: "Споживач" },
+];
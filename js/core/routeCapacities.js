@@ -0,0 +1,41 @@
+// Module for route capacities: per-cell upper bounds on the shipment.
+// A null capacity means the route is unlimited.
+
+import { Cell } from "../models/cell.js";
+import { compare } from "../utils/arithmetic.js";
+
+/**
+ * True when at least one route has a finite capacity
+ */
+export function hasCapacities(capacities) {
+  return (
+    Array.isArray(capacities) &&
+    capacities.some((row) => row.some((capacity) => capacity !== null))
+  );
+}
+
+/**
+ * Cells whose shipment exceeds the route capacity
+ */
+export function findCapacityViolations(plan, capacities) {
+  const cells = [];
+  capacities.forEach((row, i) =>
+    row.forEach((capacity, j) => {
+      if (
+        capacity !== null &&
+        plan[i][j] !== null &&
+        compare(plan[i][j], capacity) > 0
+      ) {
+        cells.push(new Cell(i, j));
+      }
+    })
+  );
+  return cells;
+}
+
+/**
+ * True when the shipment uses the whole capacity of its route
+ */
+export function isAtCapacity(value, capacity) {
+  return capacity !== null && value !== null && compare(value, capacity) === 0;
+}
@@ -0,0 +1,45 @@
+// Structured result shared by all solving methods
+
+import { SOLUTION_STATUS } from "../constants.js";
+import { OBJECTIVE_IDS } from "./methodDefinitions.js";
+
+/**
+ * Builds a solver result with every field present.
+ * Plans, costs, supplies and demands describe the balanced table the
+ * method actually worked on; the dummy flags tell which part is fictitious.
+ * forbidden marks the routes that were priced at the prohibitive cost bigM;
+ * capacities are the route upper bounds and lowerBounds the minimum route
+ * shipments (null when the problem has none); the plan includes the latter.
+ * When the objective is maximization, costs and totalCost are profits.
+ * alternativeOptima lists the zero-Δ cells of an optimal plan and the
+ * alternative optimal plans generated from them; costRanges holds the
+ * { lower, upper } range of every route cost that keeps the plan optimal;
+ * shadowPrices holds the marginal cost of extra supply/demand per supplier,
+ * consumer and supplier–consumer pair with the valid { decrease, increase }.
+ */
+export function createSolutionResult(fields) {
+  return {
+    status: SOLUTION_STATUS.FAILED,
+    message: null,
+    plan: null,
+    totalCost: null,
+    potentials: null,
+    costs: [],
+    supplies: [],
+    demands: [],
+    isSupplyDummy: false,
+    isDemandDummy: false,
+    forbidden: null,
+    bigM: null,
+    capacities: null,
+    lowerBounds: null,
+    objective: OBJECTIVE_IDS.MINIMIZE,
+    initialPlan: null,
+    initialPlanSummary: null,
+    alternativeOptima: null,
+    costRanges: null,
+    shadowPrices: null,
+    iterations: 0,
+    ...fields,
+  };
+}
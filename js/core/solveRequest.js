@@ -0,0 +1,64 @@
+// Solve requests shared by the solver Web Worker and the page: what to
+// solve, how to run it and how its data survives postMessage
+
+import { solveTransportation, solveTransshipment } from "./api.js";
+import { compareInitialPlans, compareMethods } from "./comparison.js";
+import { Fraction } from "../models/fraction.js";
+
+export const SOLVE_KINDS = {
+  TRANSPORTATION: "transportation",
+  TRANSSHIPMENT: "transshipment",
+  INITIAL_PLAN_COMPARISON: "initial-plan-comparison",
+  METHOD_COMPARISON: "method-comparison",
+};
+
+/**
+ * Runs a request { kind, problem, options } (SOLVE_KINDS). onEntry receives
+ * the trace entries as they are recorded and onProgress the progress
+ * reports { stage, iteration, cost }. Returns the result without its trace,
+ * which was already delivered entry by entry, or the comparison rows.
+ */
+export function runSolveRequest(
+  { kind, problem, options = {} },
+  { onEntry = null, onProgress = null } = {}
+) {
+  switch (kind) {
+    case SOLVE_KINDS.TRANSPORTATION:
+    case SOLVE_KINDS.TRANSSHIPMENT: {
+      const solve =
+        kind === SOLVE_KINDS.TRANSSHIPMENT
+          ? solveTransshipment
+          : solveTransportation;
+      const { trace, ...result } = solve(problem, {
+        ...options,
+        onTraceEntry: onEntry,
+        onProgress,
+      });
+      return result;
+    }
+    case SOLVE_KINDS.INITIAL_PLAN_COMPARISON:
+      return compareInitialPlans(problem, { ...options, onProgress });
+    case SOLVE_KINDS.METHOD_COMPARISON:
+      return compareMethods(problem, { ...options, onProgress });
+    default:
+      throw new Error(`Unknown solve request: ${kind}`);
+  }
+}
+
+/**
+ * Structured cloning (postMessage) keeps the BigInt parts of a Fraction but
+ * drops its prototype; this restores the Fractions of cloned data
+ */
+export function reviveFractions(value) {
+  if (Array.isArray(value)) return value.map(reviveFractions);
+  if (value === null || typeof value !== "object") return value;
+  if (
+    typeof value.numerator === "bigint" &&
+    typeof value.denominator === "bigint"
+  ) {
+    return new Fraction(value.numerator, value.denominator);
+  }
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [key, reviveFractions(item)])
+  );
+}
@@ -1,12 +1,89 @@
 // Main solver class that orchestrates the algorithms
 
 import { Cell } from "../models/cell.js";
+import { Fraction } from "../models/fraction.js";
 import { MinElementMethod } from "../algorithms/minElementMethod.js";
+import { NorthWestCornerMethod } from "../algorithms/northWestCornerMethod.js";
+import { RowMinimumMethod } from "../algorithms/rowMinimumMethod.js";
+import { ColumnMinimumMethod } from "../algorithms/columnMinimumMethod.js";
+import { VogelMethod } from "../algorithms/vogelMethod.js";
+import { RussellMethod } from "../algorithms/russellMethod.js";
 import { PotentialMethod } from "../algorithms/potentialMethod.js";
-import { EPSILON, MAX_ITERATIONS } from "../constants.js";
+import { createSolutionResult } from "./solutionResult.js";
+import {
+  applyBigM,
+  computeBigM,
+  findForbiddenCells,
+  findForbiddenShipments,
+  formatRoutes,
+} from "./forbiddenRoutes.js";
+import {
+  findCapacityViolations,
+  hasCapacities,
+  isAtCapacity,
+} from "./routeCapacities.js";
+import {
+  findMandatoryRoutes,
+  hasLowerBounds,
+  setAsideLowerBounds,
+} from "./lowerBounds.js";
+import {
+  DEFAULT_DEGENERACY_ID,
+  DEFAULT_INITIAL_PLAN_ID,
+  DEFAULT_OBJECTIVE_ID,
+  DEFAULT_PIVOT_RULE_ID,
+  DEGENERACY_IDS,
+  INITIAL_PLAN_IDS,
+  OBJECTIVE_IDS,
+  PIVOT_RULE_IDS,
+} from "./methodDefinitions.js";
+import {
+  ALTERNATIVE_SEARCH_FACTOR,
+  DEFAULT_MAX_ITERATIONS,
+  PERTURBATION_EPSILON,
+  PERTURBATION_ROUNDING_MARGIN,
+  SOLUTION_STATUS,
+} from "../constants.js";
+import {
+  add,
+  compare,
+  isPositive,
+  isZero,
+  min,
+  mul,
+  sub,
+  sum,
+  zeroLike,
+} from "../utils/arithmetic.js";
+import { formatCompact, formatNumber } from "../utils/numberFormat.js";
+
+// Algorithms that can build the initial basic feasible solution
+const INITIAL_PLAN_ALGORITHMS = {
+  [INITIAL_PLAN_IDS.MIN_ELEMENT]: MinElementMethod,
+  [INITIAL_PLAN_IDS.NORTH_WEST_CORNER]: NorthWestCornerMethod,
+  [INITIAL_PLAN_IDS.ROW_MINIMUM]: RowMinimumMethod,
+  [INITIAL_PLAN_IDS.COLUMN_MINIMUM]: ColumnMinimumMethod,
+  [INITIAL_PLAN_IDS.VOGEL]: VogelMethod,
+  [INITIAL_PLAN_IDS.RUSSELL]: RussellMethod,
+};
 
 export class TransportationProblemSolver {
-  constructor(costs, supplies, demands, logger) {
+  /**
+   * options.initialPlan selects the algorithm for stage 1 (see INITIAL_PLAN_IDS),
+   * options.maxIterations limits the number of MODI pivots,
+   * options.pivotRule and options.degeneracy choose how degenerate problems
+   * are handled (see PIVOT_RULE_IDS and DEGENERACY_IDS),
+   * options.dummyCost is the tariff of a dummy row/column (0 by default),
+   * options.capacities holds route upper bounds (null = unlimited route),
+   * options.lowerBounds holds minimum route shipments (null = none),
+   * options.objective tells whether costs are minimized or the matrix holds
+   * profits to maximize (see OBJECTIVE_IDS),
+   * options.maxAlternativePlans caps the alternative optimal plans listed
+   * when the optimum is not unique (0 = only report that they exist),
+   * options.network { names, rowNodes, columnNodes } names the rows and
+   * columns of a transshipment table after its nodes in the reports
+   */
+  constructor(costs, supplies, demands, logger, options = {}) {
     this.costs = costs.map((row) => [...row]);
     this.originalSupplies = [...supplies];
     this.originalDemands = [...demands];
@@ -19,82 +96,437 @@ export class TransportationProblemSolver {
     this.isDemandDummy = false;
     this.supplies = [];
     this.demands = [];
+    this.initialPlanSummary = null;
+    this.maxIterations = options.maxIterations ?? DEFAULT_MAX_ITERATIONS;
+    this.maxAlternativePlans = options.maxAlternativePlans ?? 0;
+    this.alternativeOptima = null;
+    this.costRanges = null;
+    this.shadowPrices = null;
+    this.network = options.network ?? null;
+    this.dummyCost = options.dummyCost ?? 0;
+    this.initialPlanId = options.initialPlan ?? DEFAULT_INITIAL_PLAN_ID;
+    if (!INITIAL_PLAN_ALGORITHMS[this.initialPlanId]) {
+      throw new Error(`Unknown initial plan method: ${this.initialPlanId}`);
+    }
+    this.pivotRule = options.pivotRule ?? DEFAULT_PIVOT_RULE_ID;
+    if (!Object.values(PIVOT_RULE_IDS).includes(this.pivotRule)) {
+      throw new Error(`Unknown pivot rule: ${this.pivotRule}`);
+    }
+    this.degeneracy = options.degeneracy ?? DEFAULT_DEGENERACY_ID;
+    if (!Object.values(DEGENERACY_IDS).includes(this.degeneracy)) {
+      throw new Error(`Unknown degeneracy handling: ${this.degeneracy}`);
+    }
+    this.objective = options.objective ?? DEFAULT_OBJECTIVE_ID;
+    if (!Object.values(OBJECTIVE_IDS).includes(this.objective)) {
+      throw new Error(`Unknown objective: ${this.objective}`);
+    }
+    // C of the conversion c' = C − profit when maximizing
+    this.profitBase = null;
+    this.isPerturbed = false;
+    this.forbidden = findForbiddenCells(costs);
+    this.bigM = null;
+    this.capacities = hasCapacities(options.capacities)
+      ? options.capacities.map((row) => [...row])
+      : null;
+    // Capacities as entered; setAsideMandatoryShipments reduces this.capacities
+    this.enteredCapacities = this.capacities;
+    this.lowerBounds = hasLowerBounds(options.lowerBounds)
+      ? options.lowerBounds.map((row) => [...row])
+      : null;
+    this.lowerBoundError = null;
+    // Artificial supplier/consumer added when the initial plan breaks a capacity
+    this.hasArtificialBasis = false;
+    this.setAsideMandatoryShipments();
+    this.convertProfits();
+    this.priceForbiddenRoutes();
     this.checkAndBalance();
+    // Non-basic cells that ship at full capacity (bounded-variable method)
+    this.atUpper = this.capacities
+      ? this.plan.map((row) => row.map(() => false))
+      : null;
+  }
+
+  /**
+   * Ships the minimum route shipments in advance: supplies, demands and
+   * capacities are reduced, and reportedTable() adds the amounts back
+   */
+  setAsideMandatoryShipments() {
+    if (!this.lowerBounds) return;
+
+    const reduced = setAsideLowerBounds(
+      this.lowerBounds,
+      this.originalSupplies,
+      this.originalDemands,
+      this.capacities
+    );
+    if (reduced.error) {
+      this.lowerBoundError = reduced.error;
+      return;
+    }
+
+    this.originalSupplies = reduced.supplies;
+    this.originalDemands = reduced.demands;
+    this.capacities = reduced.capacities;
+    const routeList = findMandatoryRoutes(this.lowerBounds)
+      .map(
+        ({ row, col }) =>
+          `(Supplier ${row + 1}, Consumer ${col + 1}) ≥ ${formatCompact(
+            this.lowerBounds[row][col]
+          )}`
+      )
+      .join(", ");
+    this.logger.logStep(
+      "Mandatory Shipments",
+      `Minimum shipments ${routeList} are shipped in advance. Supplies and demands are reduced by these amounts, the remaining problem is optimized and the mandatory amounts are added back to the final plan.`
+    );
+  }
+
+  /**
+   * Maximization: every profit p becomes the cost C − p, where C is the
+   * largest profit, so the most profitable routes are the cheapest ones
+   */
+  convertProfits() {
+    if (this.objective !== OBJECTIVE_IDS.MAXIMIZE) return;
+
+    this.profitBase = [
+      ...this.costs.flat().filter((profit) => profit !== null),
+      this.dummyCost,
+    ].reduce((best, profit) => (compare(profit, best) > 0 ? profit : best));
+    this.costs = this.costs.map((row) =>
+      row.map((profit) =>
+        profit === null ? null : sub(this.profitBase, profit)
+      )
+    );
+    this.dummyCost = sub(this.profitBase, this.dummyCost);
+
+    this.logger.logStep(
+      "Maximization",
+      `The matrix holds profits. Each profit p is replaced by the cost ${this.profitBase} − p, so minimizing the converted cost maximizes the profit. Final plans report the profit.`
+    );
+  }
+
+  /**
+   * Objective value of a plan: its cost, or its profit C·Σx − Σc'x when
+   * maximizing
+   */
+  planValue(plan) {
+    const cost = this.calculateTotalCost(plan, this.costs);
+    if (this.profitBase === null) return cost;
+    const shipped = sum(plan.flat().filter((value) => value !== null));
+    return sub(mul(this.profitBase, shipped), cost);
+  }
+
+  /**
+   * Replaces forbidden routes (null costs) by the prohibitive cost M
+   */
+  priceForbiddenRoutes() {
+    const routes = [];
+    this.forbidden.forEach((row, i) =>
+      row.forEach((isForbidden, j) => {
+        if (isForbidden) routes.push(new Cell(i, j));
+      })
+    );
+    if (routes.length === 0) return;
+
+    this.bigM = computeBigM(
+      this.costs,
+      this.originalSupplies,
+      this.originalDemands,
+      [this.dummyCost]
+    );
+    this.costs = applyBigM(this.costs, this.bigM);
+    const routeList = formatRoutes(routes);
+    this.logger.logStep(
+      "Forbidden Routes",
+      `Routes ${routeList} are forbidden and get the prohibitive cost M = ${this.bigM}. If the optimal plan still uses one of them, the problem has no feasible plan.`
+    );
   }
 
   checkAndBalance() {
-    const totalSupply = this.originalSupplies.reduce((a, b) => a + b, 0);
-    const totalDemand = this.originalDemands.reduce((a, b) => a + b, 0);
+    const totalSupply = sum(this.originalSupplies);
+    const totalDemand = sum(this.originalDemands);
+    const balance = compare(totalSupply, totalDemand);
+    // Fraction in exact runs
+    const dummyCost = add(zeroLike(this.costs[0][0]), this.dummyCost);
 
-    if (Math.abs(totalSupply - totalDemand) < EPSILON) {
+    this.logger.logBalance(totalSupply, totalDemand);
+    if (balance === 0) {
       this.supplies = [...this.originalSupplies];
       this.demands = [...this.originalDemands];
       this.isBalanced = true;
-      this.logger.logHeader(
-        "Balance Check",
-        `Problem is <span class="text-green-600 font-bold">closed (balanced)</span>. Sum of supplies (${totalSupply}) equals sum of demands (${totalDemand}).`
-      );
       return;
     }
 
     this.isBalanced = false;
-    const diff = Math.abs(totalSupply - totalDemand);
+    const diff =
+      balance < 0
+        ? sub(totalDemand, totalSupply)
+        : sub(totalSupply, totalDemand);
 
-    if (totalSupply < totalDemand) {
+    if (balance < 0) {
       // Open problem: Demand > Supply. Add dummy supplier.
-      this.logger.logHeader(
-        "Balance Check",
-        `Problem is <span class="text-yellow-800 font-bold">open (unbalanced)</span>. Supply (${totalSupply}) < Demand (${totalDemand}).`
-      );
       this.logger.logStep(
         "Balancing",
-        `Add dummy supplier (Supplier ${this.m + 1}) with supply ${diff}.`
+        `Add dummy supplier (Supplier ${
+          this.m + 1
+        }) with supply ${diff} and costs ${dummyCost}.`
       );
       this.supplies = [...this.originalSupplies, diff];
       this.demands = [...this.originalDemands];
-      this.costs.push(Array(this.n).fill(0)); // Dummy costs are zero
+      this.costs.push(Array(this.n).fill(dummyCost));
+      this.forbidden.push(Array(this.n).fill(false));
+      this.capacities?.push(Array(this.n).fill(null));
+      this.lowerBounds?.push(Array(this.n).fill(null));
       this.m++;
       this.isSupplyDummy = true;
     } else {
       // Open problem: Supply > Demand. Add dummy consumer.
-      this.logger.logHeader(
-        "Balance Check",
-        `Problem is <span class="text-yellow-800 font-bold">open (unbalanced)</span>. Supply (${totalSupply}) > Demand (${totalDemand}).`
-      );
       this.logger.logStep(
         "Balancing",
-        `Add dummy consumer (Consumer ${this.n + 1}) with demand ${diff}.`
+        `Add dummy consumer (Consumer ${
+          this.n + 1
+        }) with demand ${diff} and costs ${dummyCost}.`
       );
       this.demands = [...this.originalDemands, diff];
       this.supplies = [...this.originalSupplies];
-      this.costs.forEach((row) => row.push(0)); // Dummy costs are zero
+      this.costs.forEach((row) => row.push(dummyCost));
+      this.forbidden.forEach((row) => row.push(false));
+      this.capacities?.forEach((row) => row.push(null));
+      this.lowerBounds?.forEach((row) => row.push(null));
       this.n++;
       this.isDemandDummy = true;
     }
     this.plan = Array.from({ length: this.m }, () => Array(this.n).fill(null));
   }
 
+  /**
+   * Runs both stages and returns the structured result of the run
+   */
   solve() {
-    this.findInitialPlanMinElement();
+    if (this.lowerBoundError) {
+      this.logger.logError("Infeasible Problem", this.lowerBoundError);
+      return this.withoutPlan(
+        this.buildResult(
+          SOLUTION_STATUS.INFEASIBLE,
+          0,
+          null,
+          this.lowerBoundError
+        )
+      );
+    }
+    if (this.degeneracy === DEGENERACY_IDS.PERTURBATION) {
+      this.perturbSupplies();
+    }
+    this.findInitialPlan();
     this.checkDegeneracy();
-    this.optimizePlanPotentials();
+    this.checkCapacities();
+    return this.optimizePlanPotentials();
+  }
+
+  /**
+   * Adds ε to every supply and mε to the last demand, so that no partial sum
+   * of supplies equals a partial sum of demands and no basic shipment is zero.
+   * ε follows the scale of the data: a fixed share of the smallest amount.
+   */
+  perturbSupplies() {
+    const amounts = [...this.supplies, ...this.demands].filter(isPositive);
+    if (amounts.length === 0) return;
+    // Fraction in exact runs
+    const epsilon = mul(amounts.reduce(min), PERTURBATION_EPSILON);
+    const shown =
+      epsilon instanceof Fraction ? epsilon : Number(epsilon.toPrecision(6));
+    if (!(epsilon instanceof Fraction) && !this.isRepresentable(epsilon)) {
+      this.logger.logStep(
+        "Degeneracy Prevention",
+        `ε = ${shown} is lost in the floating point rounding of this data, so the problem is not perturbed and degenerate plans are completed with zero shipments. Exact arithmetic supports the perturbation for any data.`
+      );
+      return;
+    }
+    this.unperturbedSupplies = [...this.supplies];
+    this.unperturbedDemands = [...this.demands];
+    this.supplies = this.supplies.map((supply) => add(supply, epsilon));
+    this.demands[this.n - 1] = add(
+      this.demands[this.n - 1],
+      mul(epsilon, this.m)
+    );
+    this.isPerturbed = true;
+
+    this.logger.logStep(
+      "Degeneracy Prevention",
+      `Perturbed the problem with ε = ${shown}: every supply is increased by ε and the demand of Consumer ${this.n} by ${this.m}ε. The perturbation is removed after optimization.`
+    );
+  }
+
+  /**
+   * Whether a floating point ε stays above the comparison tolerance and well
+   * above the rounding error of the total amount shipped
+   */
+  isRepresentable(epsilon) {
+    const total = sum(this.supplies) + epsilon * this.m;
+    return (
+      isPositive(epsilon) &&
+      epsilon > total * Number.EPSILON * PERTURBATION_ROUNDING_MARGIN
+    );
+  }
+
+  /**
+   * The current plan with ε set to zero: the same basis, shipments
+   * recomputed for the original supplies and demands
+   */
+  unperturbedPlan() {
+    if (!this.isPerturbed) return this.plan;
+    // Cells at full capacity keep their shipment; the basis covers the rest
+    const atCapacity = (i, j) =>
+      this.atUpper?.[i][j] ? this.capacities[i][j] : 0;
+    const supplies = this.unperturbedSupplies.map((supply, i) =>
+      sub(supply, sum(this.demands.map((_, j) => atCapacity(i, j))))
+    );
+    const demands = this.unperturbedDemands.map((demand, j) =>
+      sub(demand, sum(this.supplies.map((_, i) => atCapacity(i, j))))
+    );
+    const potentialMethod = new PotentialMethod(this.costs, this.plan);
+    return potentialMethod.basicSolution(supplies, demands) ?? this.plan;
+  }
+
+  removePerturbation() {
+    if (!this.isPerturbed) return;
+    this.plan = this.unperturbedPlan();
+    this.supplies = this.unperturbedSupplies;
+    this.demands = this.unperturbedDemands;
+    this.isPerturbed = false;
+
+    this.logger.logStep(
+      "Removing Perturbation",
+      "Setting ε = 0 keeps the final basis and gives the plan of the original problem; some basic cells may now carry zero shipments."
+    );
+  }
+
+  /**
+   * Shipments of the plan: basic cells plus the non-basic cells that sit at
+   * their capacity (stored as empty cells in this.plan)
+   */
+  shipments(plan = this.plan, atUpper = this.atUpper) {
+    if (!atUpper) return plan;
+    return plan.map((row, i) =>
+      row.map((value, j) => (atUpper[i][j] ? this.capacities[i][j] : value))
+    );
   }
 
-  findInitialPlanMinElement() {
+  /**
+   * Plan, supplies and demands as reported to the user: the optimized plan
+   * plus the mandatory shipments that were set aside before solving
+   */
+  reportedTable(basis = this.plan, atUpper = this.atUpper) {
+    const plan = this.shipments(basis, atUpper);
+    if (!this.lowerBounds || this.lowerBoundError) {
+      return { plan, supplies: this.supplies, demands: this.demands };
+    }
+
+    const bound = (i, j) => this.lowerBounds[i][j] ?? 0;
+    return {
+      plan: plan.map((row, i) =>
+        row.map((value, j) =>
+          isPositive(bound(i, j)) ? add(value ?? 0, bound(i, j)) : value
+        )
+      ),
+      supplies: this.supplies.map((supply, i) =>
+        add(supply, sum(this.demands.map((_, j) => bound(i, j))))
+      ),
+      demands: this.demands.map((demand, j) =>
+        add(demand, sum(this.supplies.map((_, i) => bound(i, j))))
+      ),
+    };
+  }
+
+  /**
+   * Logs the reported plan with the dummy row/column marked
+   */
+  logReportedPlan(title, basis = this.plan, atUpper = this.atUpper) {
+    const { plan, supplies, demands } = this.reportedTable(basis, atUpper);
+    this.logger.logFinalPlan(
+      title,
+      plan,
+      this.costs,
+      supplies,
+      demands,
+      this.planValue(plan),
+      this.isSupplyDummy,
+      this.isDemandDummy,
+      this.profitBase !== null
+    );
+  }
+
+  buildResult(status, iterations, potentials = null, message = null) {
+    const { plan, supplies, demands } = this.reportedTable();
+    return createSolutionResult({
+      status,
+      message,
+      plan: plan.map((row) => [...row]),
+      totalCost: this.planValue(plan),
+      potentials,
+      // Profits are reported in their original form
+      costs: this.costs.map((row) =>
+        row.map((cost) =>
+          this.profitBase === null ? cost : sub(this.profitBase, cost)
+        )
+      ),
+      objective: this.objective,
+      supplies: [...supplies],
+      demands: [...demands],
+      isSupplyDummy: this.isSupplyDummy,
+      isDemandDummy: this.isDemandDummy,
+      forbidden:
+        this.bigM !== null ? this.forbidden.map((row) => [...row]) : null,
+      bigM: this.bigM,
+      // The reported plan includes the mandatory shipments, so it is checked
+      // against the capacities as entered (dummy routes are unlimited)
+      capacities:
+        this.capacities?.map((row, i) =>
+          row.map((_, j) => this.enteredCapacities[i]?.[j] ?? null)
+        ) ?? null,
+      lowerBounds: this.lowerBounds?.map((row) => [...row]) ?? null,
+      initialPlan: this.initialPlanId,
+      initialPlanSummary: this.initialPlanSummary,
+      alternativeOptima: this.alternativeOptima,
+      costRanges: this.costRanges,
+      shadowPrices: this.shadowPrices,
+      iterations,
+    });
+  }
+
+  findInitialPlan() {
+    const InitialPlanMethod = INITIAL_PLAN_ALGORITHMS[this.initialPlanId];
+    const methodName = InitialPlanMethod.displayName;
+
     this.logger.logHeader(
-      "--- STAGE 1: Finding Initial Basic Feasible Solution using Minimum Cost Method ---"
+      `--- STAGE 1: Finding Initial Basic Feasible Solution using ${methodName} ---`
     );
+    this.logger.logProgress(methodName);
 
-    const minElement = new MinElementMethod(
+    const initialPlanMethod = new InitialPlanMethod(
       this.costs,
       this.supplies,
       this.demands
     );
 
-    this.plan = minElement.findInitialPlan(() => {}); // No step-by-step logging like C#
+    // Only methods with non-obvious steps (penalties, Δ estimates) log
+    // every allocation
+    const onStep = InitialPlanMethod.logsSteps
+      ? (step, plan, currentSupplies, currentDemands, cell) =>
+          this.logInitialPlanStep(
+            `${methodName}, step ${step}`,
+            InitialPlanMethod.stepRule,
+            plan,
+            currentSupplies,
+            currentDemands,
+            cell
+          )
+      : () => {};
+
+    this.plan = initialPlanMethod.findInitialPlan(onStep);
 
     this.logger.logFinalPlan(
-      "Initial Basic Feasible Solution (Minimum Cost Method):",
+      `Initial Basic Feasible Solution (${methodName}):`,
       this.plan,
       this.costs,
       this.supplies,
@@ -103,30 +535,86 @@ export class TransportationProblemSolver {
     );
   }
 
+  logInitialPlanStep(title, rule, plan, currentSupplies, currentDemands, cell) {
+    const { minRow, minCol, penalties = null } = cell;
+
+    this.logger.logTable(
+      title,
+      `${rule} Allocate ${formatCompact(
+        plan[minRow][minCol]
+      )} to cell (Supplier ${minRow + 1}, Consumer ${minCol + 1}).`,
+      plan,
+      this.costs,
+      this.supplies,
+      this.demands,
+      currentSupplies,
+      currentDemands,
+      cell,
+      penalties
+    );
+  }
+
   calculateTotalCost(plan, costs) {
-    let totalCost = 0;
+    let totalCost = zeroLike(costs[0][0]);
     for (let i = 0; i < this.m; i++) {
       for (let j = 0; j < this.n; j++) {
         if (plan[i][j] !== null) {
-          totalCost += plan[i][j] * costs[i][j];
+          totalCost = add(totalCost, mul(plan[i][j], costs[i][j]));
         }
       }
     }
     return totalCost;
   }
 
+  /**
+   * PotentialMethod over the current basis with the run's pivot rule and
+   * route capacities
+   */
+  createPotentialMethod() {
+    return new PotentialMethod(this.costs, this.plan, {
+      pivotRule: this.pivotRule,
+      capacities: this.capacities,
+      atUpper: this.atUpper,
+    });
+  }
+
   optimizePlanPotentials() {
     this.logger.logHeader(
       "--- STAGE 2: Finding Optimal Solution using Potential Method (MODI) ---"
     );
 
-    const potentialMethod = new PotentialMethod(this.costs, this.plan);
-    let iteration = 1;
+    const potentialMethod = this.createPotentialMethod();
+    // Pivots after which every basis was first seen, to detect cycling
+    const seenBases = new Map();
+    let best = this.snapshotPlan(0);
+    // Every iteration is one pivot; the plan after the last allowed pivot
+    // still gets its optimality check
+    let iteration = 0;
 
-    while (iteration <= MAX_ITERATIONS) {
-      this.logger.logHeader(`--- Iteration ${iteration} ---`);
+    for (;;) {
+      this.logger.logHeader(`--- Iteration ${iteration + 1} ---`);
+      this.logger.logProgress(
+        "Potential method",
+        iteration + 1,
+        this.planValue(this.reportedTable().plan)
+      );
       potentialMethod.plan = this.plan;
 
+      const basis = this.basisSignature();
+      if (seenBases.has(basis)) {
+        const message = `The basis after iteration ${seenBases.get(
+          basis
+        )} repeated after iteration ${iteration}: the method is cycling through degenerate reallocations and cannot improve the plan.`;
+        this.logger.logError("Cycling Detected", message);
+        return this.stopWithBestPlan(
+          SOLUTION_STATUS.CYCLING,
+          iteration,
+          best,
+          message
+        );
+      }
+      seenBases.set(basis, iteration);
+
       const { u, v } = potentialMethod.calculatePotentials();
 
       // Log base row message (C# approach)
@@ -147,7 +635,8 @@ export class TransportationProblemSolver {
       );
 
       const deltas = potentialMethod.calculateDeltas(u, v);
-      const { maxDelta, enteringCell } = potentialMethod.findMaxDelta(deltas);
+      const { delta, enteringCell, fromUpper } =
+        potentialMethod.selectEnteringCell(deltas);
 
       this.logger.logDeltas(
         this.plan,
@@ -157,42 +646,104 @@ export class TransportationProblemSolver {
         deltas
       );
 
-      if (maxDelta <= EPSILON || enteringCell === null) {
+      if (enteringCell === null || (!fromUpper && !isPositive(delta))) {
         this.logger.logStep(
           "Optimality",
-          "\nAll Δ values are <= 0. The current plan is OPTIMAL."
+          this.capacities
+            ? "\nAll Δ values are <= 0 for empty cells and >= 0 for cells at full capacity. The current plan is OPTIMAL."
+            : "\nAll Δ values are <= 0. The current plan is OPTIMAL."
         );
-        this.logger.logFinalPlan(
-          "FINAL OPTIMAL PLAN",
-          this.plan,
-          this.costs,
-          this.supplies,
-          this.demands,
-          this.calculateTotalCost(this.plan, this.costs),
-          this.isSupplyDummy,
-          this.isDemandDummy
+        // Cells of the artificial supplier/consumer are not real routes
+        const zeroDeltaCells = potentialMethod
+          .findZeroDeltaCells(deltas)
+          .filter(
+            ({ row, col }) =>
+              !this.hasArtificialBasis || (row < this.m - 1 && col < this.n - 1)
+          );
+        const shortage = this.restoreOriginalProblem();
+
+        if (isPositive(shortage)) {
+          const message = `No feasible plan respects the route capacities: even the optimal plan leaves ${formatCompact(
+            shortage
+          )} units of supply undelivered.`;
+          this.logger.logError("Infeasible Problem", message);
+          return this.withoutPlan(
+            this.buildResult(
+              SOLUTION_STATUS.INFEASIBLE,
+              iteration,
+              null,
+              message
+            )
+          );
+        }
+
+        const forbiddenShipments = findForbiddenShipments(
+          this.shipments(),
+          this.forbidden
         );
-        this.printFinalSummary(u, v);
-        return;
+        if (forbiddenShipments.length > 0) {
+          const routeList = formatRoutes(forbiddenShipments);
+          const message = `No feasible plan avoids the forbidden routes: even the optimal plan has to ship along ${routeList}.`;
+          this.logger.logError("Infeasible Problem", message);
+          return this.withoutPlan(
+            this.buildResult(
+              SOLUTION_STATUS.INFEASIBLE,
+              iteration,
+              null,
+              message
+            )
+          );
+        }
+
+        // Potentials of the artificial supplier/consumer are dropped
+        const potentials = { u: u.slice(0, this.m), v: v.slice(0, this.n) };
+        this.logReportedPlan("FINAL OPTIMAL PLAN");
+        this.printFinalSummary(potentials.u, potentials.v);
+        this.shadowPrices = this.reportShadowPrices();
+        this.costRanges = this.reportCostRanges();
+        this.alternativeOptima = this.reportAlternativeOptima(zeroDeltaCells);
+        return this.buildResult(SOLUTION_STATUS.OPTIMAL, iteration, potentials);
       }
 
+      const deltaName =
+        this.pivotRule === PIVOT_RULE_IDS.BLAND
+          ? "First positive Δ (Bland's rule)"
+          : "Maximum positive Δ";
       this.logger.logStep(
         "Non-optimality",
-        `\nThe plan is not optimal. Maximum positive Δ = ${maxDelta.toFixed(
-          2
-        )} is in cell (Supplier ${enteringCell.row + 1}, Consumer ${
-          enteringCell.col + 1
-        }).`
+        fromUpper
+          ? `\nThe plan is not optimal. Cell (Supplier ${
+              enteringCell.row + 1
+            }, Consumer ${
+              enteringCell.col + 1
+            }) ships at full capacity with Δ = ${formatNumber(
+              delta,
+              2
+            )} < 0, so its shipment is decreased.`
+          : `\nThe plan is not optimal. ${deltaName} = ${formatNumber(
+              delta,
+              2
+            )} is in cell (Supplier ${enteringCell.row + 1}, Consumer ${
+              enteringCell.col + 1
+            }).`
       );
 
+      if (iteration >= this.maxIterations) break;
+
       const cycle = potentialMethod.findCycle(enteringCell);
 
       if (!cycle) {
-        this.logger.logError(
-          "Error",
-          "Could not find a reallocation cycle. Further optimization is not possible."
+        const message =
+          "Could not find a reallocation cycle. Further optimization is not possible.";
+        this.logger.logError("Error", message);
+        const shortage = this.restoreOriginalProblem();
+        const result = this.buildResult(
+          SOLUTION_STATUS.FAILED,
+          iteration,
+          null,
+          message
         );
-        break;
+        return isPositive(shortage) ? this.withoutPlan(result) : result;
       }
 
       this.logger.logCycle(
@@ -206,22 +757,94 @@ export class TransportationProblemSolver {
       potentialMethod.reallocatePlan(cycle, this.plan, this.logger);
       this.logger.logFinalPlan(
         `New basic feasible solution after reallocation:`,
-        this.plan,
+        this.shipments(),
         this.costs,
         this.supplies,
         this.demands,
-        this.calculateTotalCost(this.plan, this.costs)
+        this.calculateTotalCost(this.shipments(), this.costs)
       );
 
       iteration++;
+      const candidate = this.snapshotPlan(iteration);
+      if (compare(candidate.totalCost, best.totalCost) < 0) {
+        best = candidate;
+      }
     }
 
-    if (iteration > MAX_ITERATIONS) {
-      this.logger.logStep(
-        "Warning",
-        "\nWarning: Maximum number of iterations reached. The solution may not be optimal."
-      );
+    const message = `Iteration limit of ${this.maxIterations} reached before the optimality check passed. The plan may not be optimal; increase the limit to continue.`;
+    this.logger.logError("Iteration Limit Reached", message);
+    return this.stopWithBestPlan(
+      SOLUTION_STATUS.ITERATION_LIMIT,
+      this.maxIterations,
+      best,
+      message
+    );
+  }
+
+  /**
+   * Copy of the current plan with its cost, tagged with the iteration that
+   * produced it (0 = initial plan)
+   */
+  snapshotPlan(iteration) {
+    return {
+      iteration,
+      plan: this.plan.map((row) => [...row]),
+      atUpper: this.atUpper?.map((row) => [...row]) ?? null,
+      totalCost: this.calculateTotalCost(this.shipments(), this.costs),
+    };
+  }
+
+  /**
+   * Basic cells (and cells at full capacity) of the current plan as a string key
+   */
+  basisSignature() {
+    const cells = [];
+    for (let i = 0; i < this.m; i++) {
+      for (let j = 0; j < this.n; j++) {
+        if (this.plan[i][j] !== null) cells.push(`${i}:${j}`);
+        if (this.atUpper?.[i][j]) cells.push(`${i}:${j}^`);
+      }
+    }
+    return cells.join(",");
+  }
+
+  /**
+   * Ends a run that did not reach optimality, reporting the cheapest plan
+   * found so far
+   */
+  stopWithBestPlan(status, iterations, best, message) {
+    this.plan = best.plan;
+    this.atUpper = best.atUpper;
+    const shortage = this.restoreOriginalProblem();
+    this.logReportedPlan(
+      best.iteration === 0
+        ? "BEST PLAN FOUND (initial plan)"
+        : `BEST PLAN FOUND (after iteration ${best.iteration})`
+    );
+    const result = this.buildResult(status, iterations, null, message);
+    if (isPositive(shortage)) {
+      return this.withoutPlan({
+        ...result,
+        message: `${message} The best plan found still leaves ${formatCompact(
+          shortage
+        )} units of supply undelivered.`,
+      });
+    }
+    if (findForbiddenShipments(this.shipments(), this.forbidden).length > 0) {
+      return this.withoutPlan({
+        ...result,
+        message: `${message} The best plan found still uses forbidden routes.`,
+      });
     }
+    return result;
+  }
+
+  /**
+   * A plan shipping along forbidden routes or beyond the capacities is not
+   * a valid answer
+   */
+  withoutPlan(result) {
+    return { ...result, plan: null, totalCost: null };
   }
 
   checkDegeneracy() {
@@ -233,6 +856,13 @@ export class TransportationProblemSolver {
     }
     const requiredCells = this.m + this.n - 1;
 
+    this.initialPlanSummary = {
+      totalCost: this.planValue(this.unperturbedPlan()),
+      basicCells: filledCells,
+      requiredCells,
+      isDegenerate: filledCells < requiredCells,
+    };
+
     if (filledCells < requiredCells) {
       this.handleDegeneracy(filledCells);
     } else {
@@ -253,26 +883,8 @@ export class TransportationProblemSolver {
         `\nPlan is degenerate. Adding ${missingCells} fictitious allocation(s) with zero shipment.`
       );
 
-      const potentialMethod = new PotentialMethod(this.costs, this.plan);
-
       for (let k = 0; k < missingCells; k++) {
-        let minCost = Infinity;
-        let bestCell = null;
-
-        for (let i = 0; i < this.m; i++) {
-          for (let j = 0; j < this.n; j++) {
-            if (this.plan[i][j] === null && this.costs[i][j] < minCost) {
-              // Temporarily add a zero allocation
-              const tempPlan = this.plan.map((row) => row.map((cell) => cell));
-              tempPlan[i][j] = 0;
-
-              if (potentialMethod.isAcyclic(tempPlan)) {
-                minCost = this.costs[i][j];
-                bestCell = new Cell(i, j);
-              }
-            }
-          }
-        }
+        const bestCell = this.findZeroAllocationCell();
 
         if (bestCell !== null) {
           this.plan[bestCell.row][bestCell.col] = 0;
@@ -302,42 +914,631 @@ export class TransportationProblemSolver {
     }
   }
 
-  printFinalSummary(u, v) {
-    this.logger.logHeader("          FINAL OPTIMAL SOLUTION SUMMARY", "");
+  /**
+   * The initial plan may ship more than a route allows; optimization then
+   * starts from an artificial basis that respects every capacity
+   */
+  checkCapacities() {
+    if (!this.capacities) return;
 
+    const violations = findCapacityViolations(this.plan, this.capacities);
+    if (violations.length === 0) {
+      this.logger.logStep(
+        "Capacity Check",
+        "\nThe initial plan respects every route capacity."
+      );
+      return;
+    }
+
+    const routeList = formatRoutes(violations);
+    this.logger.logStep(
+      "Capacity Check",
+      `\nThe initial plan exceeds the capacity of ${routeList}. Optimization starts from an artificial basis instead.`
+    );
+    this.startFromArtificialBasis();
+  }
+
+  /**
+   * Adds an artificial consumer that takes every supply and an artificial
+   * supplier that covers every demand, both with the prohibitive cost M.
+   * Their plan respects all capacities, and M drives the artificial
+   * shipments out during optimization whenever a feasible plan exists.
+   */
+  startFromArtificialBasis() {
+    const zero = zeroLike(this.costs[0][0]);
+    const cost = computeBigM(
+      this.costs,
+      this.isPerturbed ? this.unperturbedSupplies : this.supplies,
+      this.isPerturbed ? this.unperturbedDemands : this.demands
+    );
+    const total = sum(this.supplies);
+
+    this.costs.forEach((row) => row.push(cost));
+    this.costs.push([...Array(this.n).fill(cost), zero]);
+    this.plan = [
+      ...this.supplies.map((supply) => [...Array(this.n).fill(null), supply]),
+      [...this.demands, zero],
+    ];
+    [this.forbidden, this.atUpper].forEach((matrix) => {
+      matrix.forEach((row) => row.push(false));
+      matrix.push(Array(this.n + 1).fill(false));
+    });
+    [this.capacities, this.lowerBounds].forEach((matrix) => {
+      matrix?.forEach((row) => row.push(null));
+      matrix?.push(Array(this.n + 1).fill(null));
+    });
+    this.supplies = [...this.supplies, total];
+    this.demands = [...this.demands, total];
+    if (this.isPerturbed) {
+      const unperturbedTotal = sum(this.unperturbedSupplies);
+      this.unperturbedSupplies = [
+        ...this.unperturbedSupplies,
+        unperturbedTotal,
+      ];
+      this.unperturbedDemands = [...this.unperturbedDemands, unperturbedTotal];
+    }
+    this.m++;
+    this.n++;
+    this.hasArtificialBasis = true;
+
+    this.logger.logStep(
+      "Artificial Basis",
+      `Supplier ${this.m} and Consumer ${this.n} are artificial, with cost M = ${cost}. Every supplier ships its whole supply to Consumer ${this.n} and Supplier ${this.m} covers every demand.`
+    );
     this.logger.logFinalPlan(
-      "Final Transportation Plan:",
-      this.plan,
+      "Artificial initial plan:",
+      this.shipments(),
       this.costs,
       this.supplies,
       this.demands,
-      this.calculateTotalCost(this.plan, this.costs),
-      this.isSupplyDummy,
-      this.isDemandDummy
+      this.calculateTotalCost(this.shipments(), this.costs)
+    );
+  }
+
+  /**
+   * Removes the perturbation and the artificial supplier/consumer. Returns
+   * the supply still sent to the artificial consumer (zero when the route
+   * capacities can be met).
+   */
+  restoreOriginalProblem() {
+    this.removePerturbation();
+    if (!this.hasArtificialBasis) return 0;
+
+    const plan = this.shipments();
+    const shortage = sum(plan.slice(0, -1).map((row) => row[this.n - 1] ?? 0));
+    [
+      this.costs,
+      this.plan,
+      this.forbidden,
+      this.capacities,
+      this.atUpper,
+      this.lowerBounds,
+    ].forEach((matrix) => {
+      matrix?.pop();
+      matrix?.forEach((row) => row.pop());
+    });
+    this.supplies = this.supplies.slice(0, -1);
+    this.demands = this.demands.slice(0, -1);
+    this.m--;
+    this.n--;
+    this.hasArtificialBasis = false;
+    return shortage;
+  }
+
+  /**
+   * Runs callback(potentialMethod, u, v) on a copy of the optimal basis
+   * completed to m + n − 1 cells; the plan itself is left untouched
+   */
+  withCompletedBasis(callback) {
+    const optimal = { plan: this.plan, atUpper: this.atUpper };
+    try {
+      this.plan = this.plan.map((row) => [...row]);
+      this.atUpper = this.atUpper?.map((row) => [...row]) ?? null;
+      this.completeBasis();
+      const potentialMethod = this.createPotentialMethod();
+      const { u, v } = potentialMethod.calculatePotentials();
+      return callback(potentialMethod, u, v);
+    } finally {
+      this.plan = optimal.plan;
+      this.atUpper = optimal.atUpper;
+    }
+  }
+
+  /**
+   * Name of a row in the reports: its node in a transshipment table
+   */
+  rowName(i) {
+    const node = this.network?.rowNodes[i];
+    return node === undefined ? `Supplier ${i + 1}` : this.network.names[node];
+  }
+
+  /**
+   * Name of a column in the reports: its node in a transshipment table
+   */
+  columnName(j) {
+    const node = this.network?.columnNodes[j];
+    return node === undefined ? `Consumer ${j + 1}` : this.network.names[node];
+  }
+
+  /**
+   * True for the zero-cost cell of a transshipment point to itself, which
+   * only holds the unused part of its buffer and is no real route
+   */
+  isSelfRoute(i, j) {
+    const from = this.network?.rowNodes[i];
+    return from !== undefined && from === this.network.columnNodes[j];
+  }
+
+  /**
+   * Name of a cell in the reports: the node-to-node route of a
+   * transshipment table or the supplier–consumer cell
+   */
+  cellName(i, j) {
+    if (!this.network) return `cell (Supplier ${i + 1}, Consumer ${j + 1})`;
+    if (this.isSelfRoute(i, j)) return `unused buffer of ${this.rowName(i)}`;
+    return `route ${this.rowName(i)} → ${this.columnName(j)}`;
+  }
+
+  /**
+   * Logs the shadow prices: the change of the total cost (or profit) per
+   * extra unit of supply or demand and the change range over which that
+   * price holds. A balanced problem can only grow a supplier and a consumer
+   * together, so it gets prices per pair; in an open problem the dummy
+   * row/column absorbs the change of a single supplier or consumer.
+   * Returns { suppliers, consumers, routes } of { price, decrease, increase }
+   * entries (null where the change is not possible).
+   */
+  reportShadowPrices() {
+    const zero = zeroLike(this.costs[0][0]);
+    const vector = (length, terms) => {
+      const result = Array(length).fill(zero);
+      terms.forEach(([index, sign]) => {
+        result[index] = add(result[index], sign);
+      });
+      return result;
+    };
+    const dummySupplier = this.isSupplyDummy ? this.m - 1 : null;
+    const dummyConsumer = this.isDemandDummy ? this.n - 1 : null;
+    const isRealSupplier = (i) => i !== dummySupplier;
+    const isRealConsumer = (j) => j !== dummyConsumer;
+    const isBalanced = dummySupplier === null && dummyConsumer === null;
+
+    const shadowPrices = this.withCompletedBasis((potentialMethod, u, v) => {
+      const evaluate = (supplyTerms, demandTerms) => {
+        const supplyChange = vector(this.m, supplyTerms);
+        const demandChange = vector(this.n, demandTerms);
+        const cost = add(
+          sum(u.map((price, i) => mul(price, supplyChange[i]))),
+          sum(v.map((price, j) => mul(price, demandChange[j])))
+        );
+        return {
+          price:
+            this.profitBase === null
+              ? cost
+              : sub(mul(this.profitBase, sum(supplyChange)), cost),
+          ...potentialMethod.calculateChangeRange(supplyChange, demandChange),
+        };
+      };
+
+      const supplierChange = (i) =>
+        dummyConsumer !== null
+          ? evaluate([[i, 1]], [[dummyConsumer, 1]])
+          : evaluate(
+              [
+                [i, 1],
+                [dummySupplier, -1],
+              ],
+              []
+            );
+      const consumerChange = (j) =>
+        dummyConsumer !== null
+          ? evaluate(
+              [],
+              [
+                [j, 1],
+                [dummyConsumer, -1],
+              ]
+            )
+          : evaluate([[dummySupplier, 1]], [[j, 1]]);
+
+      return {
+        suppliers: isBalanced
+          ? null
+          : this.supplies.map((_, i) =>
+              isRealSupplier(i) ? supplierChange(i) : null
+            ),
+        consumers: isBalanced
+          ? null
+          : this.demands.map((_, j) =>
+              isRealConsumer(j) ? consumerChange(j) : null
+            ),
+        routes: this.supplies.map((_, i) =>
+          this.demands.map((_, j) =>
+            isRealSupplier(i) && isRealConsumer(j)
+              ? evaluate([[i, 1]], [[j, 1]])
+              : null
+          )
+        ),
+      };
+    });
+
+    const isProfit = this.profitBase !== null;
+    const valueName = isProfit ? "profit" : "cost";
+    const formatChange = (value, sign) => {
+      if (value === null) return `${sign}∞`;
+      return isZero(value) ? "0" : `${sign}${formatCompact(value)}`;
+    };
+    const formatEntry = ({ price, decrease, increase }) => [
+      formatCompact(price),
+      `${formatChange(decrease, "-")} … ${formatChange(increase, "+")}`,
+    ];
+    const headers = [`Marginal ${valueName} of one more unit`, "Valid change"];
+
+    if (isBalanced) {
+      const rows = [];
+      shadowPrices.routes.forEach((row, i) =>
+        row.forEach((entry, j) => {
+          if (this.isSelfRoute(i, j)) return;
+          rows.push([
+            `${this.rowName(i)} + ${this.columnName(j)}`,
+            ...formatEntry(entry),
+          ]);
+        })
+      );
+      const pair = this.network
+        ? "a sending node and a receiving node"
+        : "Supplier i and Consumer j";
+      this.logger.logSummaryTable(
+        "Shadow Prices",
+        `The problem is balanced, so supply and demand can only grow together: one more unit at ${pair} changes the total ${valueName} by the marginal ${valueName}${
+          isProfit ? "" : " u_i + v_j"
+        } as long as the change stays within the valid range.`,
+        [
+          this.network ? "Sending + receiving node" : "Supplier + consumer",
+          ...headers,
+        ],
+        rows
+      );
+      return shadowPrices;
+    }
+
+    const { supplies, demands } = this.reportedTable();
+    const rows = [
+      ...shadowPrices.suppliers.map((entry, i) =>
+        entry === null
+          ? null
+          : [
+              this.rowName(i),
+              `supply ${formatCompact(supplies[i])}`,
+              ...formatEntry(entry),
+            ]
+      ),
+      ...shadowPrices.consumers.map((entry, j) =>
+        entry === null
+          ? null
+          : [
+              this.columnName(j),
+              `demand ${formatCompact(demands[j])}`,
+              ...formatEntry(entry),
+            ]
+      ),
+    ].filter(Boolean);
+    const absorbedBy =
+      dummyConsumer !== null
+        ? `the dummy Consumer ${dummyConsumer + 1} takes the surplus`
+        : `the dummy Supplier ${dummySupplier + 1} covers the shortage`;
+    this.logger.logSummaryTable(
+      "Shadow Prices",
+      `The problem is open and ${absorbedBy}, so the supply of a single supplier or the demand of a single consumer can change. One more unit changes the total ${valueName} by the marginal ${valueName} as long as the change stays within the valid range.`,
+      ["Node", "Amount", ...headers],
+      rows
+    );
+    return shadowPrices;
+  }
+
+  /**
+   * Logs, for every route, how far its cost (or profit) can move before the
+   * optimal basis changes. Returns a matrix of { lower, upper } ranges in
+   * the original units (null = unbounded side, null entry = forbidden route).
+   */
+  reportCostRanges() {
+    const { basis, ranges } = this.withCompletedBasis(
+      (potentialMethod, u, v) => ({
+        basis: potentialMethod.plan,
+        ranges: potentialMethod.calculateCostRanges(
+          potentialMethod.calculateDeltas(u, v)
+        ),
+      })
+    );
+
+    const isProfit = this.profitBase !== null;
+    // A cost range [lower, upper] is the profit range [C − upper, C − lower]
+    const costRanges = ranges.map((row, i) =>
+      row.map(({ lower, upper }, j) => {
+        if (this.forbidden[i][j]) return null;
+        if (!isProfit) return { lower, upper };
+        return {
+          lower: upper === null ? null : sub(this.profitBase, upper),
+          upper: lower === null ? null : sub(this.profitBase, lower),
+        };
+      })
+    );
+
+    const isDummy = (i, j) =>
+      (this.isSupplyDummy && i === this.m - 1) ||
+      (this.isDemandDummy && j === this.n - 1);
+    const bound = (value, infinity) =>
+      value === null ? infinity : formatCompact(value);
+    const rows = [];
+    costRanges.forEach((row, i) =>
+      row.forEach((range, j) => {
+        if (range === null || isDummy(i, j) || this.isSelfRoute(i, j)) return;
+        let status = "empty";
+        if (basis[i][j] !== null) status = "basic";
+        else if (this.atUpper?.[i][j]) status = "at capacity";
+        rows.push([
+          `${this.rowName(i)} → ${this.columnName(j)}`,
+          status,
+          formatCompact(
+            isProfit ? sub(this.profitBase, this.costs[i][j]) : this.costs[i][j]
+          ),
+          bound(range.lower, "-∞"),
+          bound(range.upper, "+∞"),
+        ]);
+      })
     );
 
+    const valueName = isProfit ? "profit" : "cost";
+    const isDegenerate = basis.some((row) =>
+      row.some((value) => value !== null && isZero(value))
+    );
+    this.logger.logSummaryTable(
+      `Sensitivity of Route ${isProfit ? "Profits" : "Costs"}`,
+      `The optimal plan stays the same while the ${valueName} of a single route stays within its range (all other ${valueName}s unchanged).${
+        isDegenerate
+          ? " The plan is degenerate: the ranges belong to the current basis and may be narrower than the true ones."
+          : ""
+      }`,
+      [
+        "Route",
+        "Status",
+        isProfit ? "Profit" : "Cost",
+        "Lower limit",
+        "Upper limit",
+      ],
+      rows
+    );
+
+    return costRanges;
+  }
+
+  /**
+   * Δ = 0 in a non-basic cell means that pivoting on it keeps the total
+   * unchanged. Logs such cells and, when requested, the alternative basic
+   * optimal plans. Returns { cells, plans } for the result.
+   */
+  reportAlternativeOptima(zeroDeltaCells) {
+    const valueName = this.profitBase === null ? "cost" : "profit";
+    const cells = zeroDeltaCells.map(({ row, col }) => ({ row, col }));
+
+    if (cells.length === 0) {
+      this.logger.logStep(
+        "Alternative Optima",
+        "Every non-basic cell has Δ ≠ 0, so the optimal plan is unique."
+      );
+      return { cells, plans: [] };
+    }
+
+    const routeList = this.network
+      ? zeroDeltaCells.map(({ row, col }) => this.cellName(row, col)).join(", ")
+      : `cells ${formatRoutes(zeroDeltaCells)}`;
+    const hint =
+      this.maxAlternativePlans === 0
+        ? " Request alternative plans to list them."
+        : "";
+    this.logger.logStep(
+      "Alternative Optima",
+      `Δ = 0 in non-basic ${routeList}. Pivoting on them keeps the total ${valueName}, so the problem has alternative optimal plans unless every such pivot is degenerate.${hint}`
+    );
+    if (this.maxAlternativePlans === 0) return { cells, plans: [] };
+
+    const alternatives = this.enumerateAlternativeOptima();
+    if (alternatives.length === 0) {
+      this.logger.logStep(
+        "Alternative Optima",
+        "Every pivot on a zero-Δ cell is degenerate: the basis changes but the plan stays the same."
+      );
+    }
+    alternatives.forEach(({ plan, atUpper, cell }, k) =>
+      this.logReportedPlan(
+        `Alternative optimal plan ${k + 1} (pivot on ${this.cellName(
+          cell.row,
+          cell.col
+        )}):`,
+        plan,
+        atUpper
+      )
+    );
+    if (alternatives.length === this.maxAlternativePlans) {
+      this.logger.logStep(
+        "Alternative Optima",
+        `Stopped after ${this.maxAlternativePlans} alternative plan(s); more may exist.`
+      );
+    }
+
+    return {
+      cells,
+      plans: alternatives.map(
+        ({ plan, atUpper }) => this.reportedTable(plan, atUpper).plan
+      ),
+    };
+  }
+
+  /**
+   * Distinct basic optimal plans reached from the final basis by pivoting on
+   * zero-Δ cells, breadth first, at most maxAlternativePlans of them.
+   * Every state is a copy of { plan, atUpper }; while a state is explored,
+   * this.plan and this.atUpper point at it.
+   */
+  enumerateAlternativeOptima() {
+    const optimal = { plan: this.plan, atUpper: this.atUpper };
+    const copyState = ({ plan, atUpper }) => ({
+      plan: plan.map((row) => [...row]),
+      atUpper: atUpper?.map((row) => [...row]) ?? null,
+    });
+    // Empty cells and basic zeros ship the same amount
+    const planKey = () =>
+      JSON.stringify(
+        this.shipments().map((row) =>
+          row.map((value) => formatCompact(value ?? 0, 6))
+        )
+      );
+    const useState = (state) => {
+      this.plan = state.plan;
+      this.atUpper = state.atUpper;
+    };
+    const alternatives = [];
+
+    try {
+      const start = copyState(optimal);
+      useState(start);
+      this.completeBasis();
+      const seenBases = new Set([this.basisSignature()]);
+      const seenPlans = new Set([planKey()]);
+      const queue = [start];
+      let explored = 0;
+
+      while (
+        queue.length > 0 &&
+        alternatives.length < this.maxAlternativePlans &&
+        explored < this.maxAlternativePlans * ALTERNATIVE_SEARCH_FACTOR
+      ) {
+        const state = queue.shift();
+        explored++;
+        useState(state);
+        const potentialMethod = this.createPotentialMethod();
+        const { u, v } = potentialMethod.calculatePotentials();
+        const cells = potentialMethod.findZeroDeltaCells(
+          potentialMethod.calculateDeltas(u, v)
+        );
+
+        for (const cell of cells) {
+          const next = copyState(state);
+          useState(next);
+          const pivot = this.createPotentialMethod();
+          const cycle = pivot.findCycle(cell);
+          if (!cycle) continue;
+          pivot.reallocatePlan(cycle, this.plan, null);
+
+          const basis = this.basisSignature();
+          if (seenBases.has(basis)) continue;
+          seenBases.add(basis);
+          queue.push(next);
+
+          const key = planKey();
+          if (seenPlans.has(key)) continue;
+          seenPlans.add(key);
+          alternatives.push({ ...next, cell });
+          if (alternatives.length === this.maxAlternativePlans) break;
+        }
+      }
+    } finally {
+      useState(optimal);
+    }
+
+    return alternatives;
+  }
+
+  /**
+   * Adds zero basic cells until the basis has m + n − 1 cells (removing
+   * the artificial supplier/consumer can leave it short)
+   */
+  completeBasis() {
+    const basicCells = this.plan
+      .flat()
+      .filter((value) => value !== null).length;
+    for (let k = basicCells; k < this.m + this.n - 1; k++) {
+      const cell = this.findZeroAllocationCell();
+      if (cell === null) break;
+      this.plan[cell.row][cell.col] = zeroLike(this.costs[0][0]);
+    }
+  }
+
+  /**
+   * Cheapest empty cell that can join the basis with a zero shipment
+   * without closing a cycle, or null
+   */
+  findZeroAllocationCell() {
+    const potentialMethod = new PotentialMethod(this.costs, this.plan);
+    let minCost = null;
+    let bestCell = null;
+
+    for (let i = 0; i < this.m; i++) {
+      for (let j = 0; j < this.n; j++) {
+        if (
+          this.plan[i][j] === null &&
+          !this.atUpper?.[i][j] &&
+          (minCost === null || compare(this.costs[i][j], minCost) < 0)
+        ) {
+          // Temporarily add a zero allocation
+          const tempPlan = this.plan.map((row) => row.map((cell) => cell));
+          tempPlan[i][j] = 0;
+
+          if (potentialMethod.isAcyclic(tempPlan)) {
+            minCost = this.costs[i][j];
+            bestCell = new Cell(i, j);
+          }
+        }
+      }
+    }
+    return bestCell;
+  }
+
+  printFinalSummary(u, v) {
+    this.logger.logHeader("          FINAL OPTIMAL SOLUTION SUMMARY", "");
+
+    this.logReportedPlan("Final Transportation Plan:");
+    const optimized = this.shipments();
+    const { plan } = this.reportedTable();
+
     // Log optimal shipment details
-    let detailsHtml =
-      "<div class='mt-4'><h5 class='font-bold mb-2'>Optimal Shipment Details:</h5><ul>";
+    const shipments = [];
     for (let i = 0; i < this.m; i++) {
       for (let j = 0; j < this.n; j++) {
-        if (this.plan[i][j] !== null && this.plan[i][j] > EPSILON) {
-          detailsHtml += `<li>Ship ${this.plan[i][j].toFixed(
-            1
-          )} units from Supplier ${i + 1} to Consumer ${j + 1}</li>`;
+        if (plan[i][j] !== null && isPositive(plan[i][j])) {
+          const notes = [];
+          const mandatory = this.lowerBounds?.[i][j] ?? null;
+          if (mandatory !== null && isPositive(mandatory)) {
+            notes.push(
+              compare(plan[i][j], mandatory) === 0
+                ? "mandatory minimum"
+                : `including ${formatCompact(mandatory)} mandatory`
+            );
+          }
+          if (isAtCapacity(optimized[i][j], this.capacities?.[i][j] ?? null)) {
+            notes.push("full route capacity");
+          }
+          const noteText = notes.length > 0 ? ` (${notes.join(", ")})` : "";
+          shipments.push(
+            `Ship ${formatNumber(plan[i][j], 1)} units from Supplier ${
+              i + 1
+            } to Consumer ${j + 1}${noteText}`
+          );
         }
       }
     }
-    detailsHtml += "</ul></div>";
+    this.logger.logList("Optimal Shipment Details", "", shipments);
 
     // Log final potentials
-    detailsHtml +=
-      "<div class='mt-4'><h5 class='font-bold mb-2'>Final Potentials for Optimality Check:</h5><p>";
-    const uStr = u.map((val, i) => `u${i + 1}=${val.toFixed(1)}`).join("  ");
-    const vStr = v.map((val, j) => `v${j + 1}=${val.toFixed(1)}`).join("  ");
-    detailsHtml += `${uStr}<br>${vStr}`;
-    detailsHtml += "</p></div>";
-
-    this.logger.addSection("Final Summary Details", detailsHtml);
+    const uStr = u
+      .map((val, i) => `u${i + 1}=${formatNumber(val, 1)}`)
+      .join("  ");
+    const vStr = v
+      .map((val, j) => `v${j + 1}=${formatNumber(val, 1)}`)
+      .join("  ");
+    this.logger.logStep(
+      "Final Potentials for Optimality Check",
+      `${uStr}\n${vStr}`
+    );
   }
 }
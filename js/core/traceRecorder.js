@@ -0,0 +1,149 @@
+// Records solution steps as plain data so that any renderer can replay them
+
+import { Fraction } from "../models/fraction.js";
+
+/**
+ * Deep copy of trace data; fractions are immutable and kept as they are
+ */
+function snapshot(value) {
+  if (Array.isArray(value)) return value.map(snapshot);
+  if (value instanceof Fraction || value === null) return value;
+  if (typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, snapshot(item)])
+    );
+  }
+  return value;
+}
+
+/**
+ * Drop-in replacement for Logger that stores every logged step as a
+ * DOM-free trace entry instead of writing HTML. Texts are plain (a newline
+ * breaks the line); markup is added by the renderer. Progress reports are
+ * not steps: they only go to onProgress.
+ */
+export class TraceRecorder {
+  constructor(onEntry = null, onProgress = null) {
+    this.entries = [];
+    this.onEntry = onEntry;
+    this.onProgress = onProgress;
+  }
+
+  record(entry) {
+    // Plans are mutated in place by the algorithms, so keep a snapshot
+    const copy = snapshot(entry);
+    this.entries.push(copy);
+    if (this.onEntry) this.onEntry(copy);
+  }
+
+  /**
+   * Reports how far a long run got: stage name, iteration number and the
+   * current cost (null when the stage has no feasible plan to price)
+   */
+  logProgress(stage, iteration = null, cost = null) {
+    if (this.onProgress) this.onProgress({ stage, iteration, cost });
+  }
+
+  logHeader(title, subtitle = "") {
+    this.record({ type: "header", title, subtitle });
+  }
+
+  logStep(title, details) {
+    this.record({ type: "step", title, details });
+  }
+
+  /**
+   * Whether the total supply equals the total demand
+   */
+  logBalance(totalSupply, totalDemand) {
+    this.record({ type: "balance", totalSupply, totalDemand });
+  }
+
+  logList(title, details, items) {
+    this.record({ type: "list", title, details, items });
+  }
+
+  logSuccess(details) {
+    this.record({ type: "success", details });
+  }
+
+  logError(title, details) {
+    this.record({ type: "error", title, details });
+  }
+
+  logTable(
+    title,
+    details,
+    plan,
+    costs,
+    supplies,
+    demands,
+    currentSupplies,
+    currentDemands,
+    highlightCell = null,
+    penalties = null
+  ) {
+    this.record({
+      type: "table",
+      title,
+      details,
+      plan,
+      costs,
+      supplies,
+      demands,
+      currentSupplies,
+      currentDemands,
+      highlightCell,
+      penalties,
+    });
+  }
+
+  logSummaryTable(title, details, headers, rows, highlightRows = []) {
+    this.record({
+      type: "summaryTable",
+      title,
+      details,
+      headers,
+      rows,
+      highlightRows,
+    });
+  }
+
+  logPotentials(plan, costs, supplies, demands, u, v) {
+    this.record({ type: "potentials", plan, costs, supplies, demands, u, v });
+  }
+
+  logDeltas(plan, costs, supplies, demands, deltas) {
+    this.record({ type: "deltas", plan, costs, supplies, demands, deltas });
+  }
+
+  logCycle(cycle, plan, costs, supplies, demands) {
+    const path = cycle.map(({ row, col }) => ({ row, col }));
+    this.record({ type: "cycle", cycle: path, plan, costs, supplies, demands });
+  }
+
+  logFinalPlan(
+    title,
+    plan,
+    costs,
+    supplies,
+    demands,
+    totalCost,
+    isSupplyDummy = false,
+    isDemandDummy = false,
+    isProfit = false
+  ) {
+    this.record({
+      type: "plan",
+      title,
+      plan,
+      costs,
+      supplies,
+      demands,
+      totalCost,
+      isSupplyDummy,
+      isDemandDummy,
+      isProfit,
+    });
+  }
+}
@@ -0,0 +1,163 @@
+// Module for transshipment problems: networks of sources, sinks and
+// transshipment points (warehouses that receive goods and forward them).
+// The network becomes a transportation table whose rows are the nodes that
+// can send and whose columns are the nodes that can receive; a
+// transshipment point appears on both sides with its buffer and ships
+// whatever it does not forward to itself at zero cost.
+
+import { NODE_TYPE_IDS } from "./methodDefinitions.js";
+import { add, isPositive, mul, sum } from "../utils/arithmetic.js";
+import { formatCompact } from "../utils/numberFormat.js";
+
+/**
+ * True when the data describes a transshipment network { nodes, costs }
+ */
+export function isTransshipmentNetwork(data) {
+  return Array.isArray(data?.nodes);
+}
+
+export function nodeName(nodes, k) {
+  return nodes[k].name || `Node ${k + 1}`;
+}
+
+/**
+ * Total supply of the sources
+ */
+export function totalSupplyOf(nodes) {
+  return sum(
+    nodes
+      .filter((node) => node.type === NODE_TYPE_IDS.SOURCE)
+      .map((node) => node.amount)
+  );
+}
+
+/**
+ * Most a transshipment point can forward: its buffer, or the total supply
+ * of the sources when none is given
+ */
+export function nodeBuffer(nodes, k) {
+  return nodes[k].buffer ?? totalSupplyOf(nodes);
+}
+
+/**
+ * Equivalent transportation problem { costs, supplies, demands } with the
+ * node behind every row (rowNodes) and column (columnNodes). A missing
+ * node-to-node route (null cost) becomes a forbidden route.
+ */
+export function toTransportationProblem({ nodes, costs }) {
+  const indices = nodes.map((_, k) => k);
+  const rowNodes = indices.filter((k) => nodes[k].type !== NODE_TYPE_IDS.SINK);
+  const columnNodes = indices.filter(
+    (k) => nodes[k].type !== NODE_TYPE_IDS.SOURCE
+  );
+  const amount = (k) =>
+    nodes[k].type === NODE_TYPE_IDS.TRANSSHIPMENT
+      ? nodeBuffer(nodes, k)
+      : nodes[k].amount;
+
+  return {
+    problem: {
+      costs: rowNodes.map((from) =>
+        columnNodes.map((to) => (from === to ? 0 : costs[from][to]))
+      ),
+      supplies: rowNodes.map(amount),
+      demands: columnNodes.map(amount),
+    },
+    rowNodes,
+    columnNodes,
+  };
+}
+
+/**
+ * Positive node-to-node flows of a solved table [{ from, to, amount }];
+ * the unused buffers (self-shipments) and the dummy row/column are left out
+ */
+export function mapFlowsToRoutes(plan, { rowNodes, columnNodes }) {
+  const flows = [];
+  rowNodes.forEach((from, i) =>
+    columnNodes.forEach((to, j) => {
+      const amount = plan[i][j];
+      if (from === to || amount === null || !isPositive(amount)) return;
+      flows.push({ from, to, amount });
+    })
+  );
+  return flows;
+}
+
+/**
+ * Amount received (and forwarded) by every transshipment point
+ * [{ node, amount, buffer }]
+ */
+export function findThroughput(nodes, flows) {
+  return nodes
+    .map((node, k) => ({ node, k }))
+    .filter(({ node }) => node.type === NODE_TYPE_IDS.TRANSSHIPMENT)
+    .map(({ k }) => ({
+      node: k,
+      amount: flows
+        .filter((flow) => flow.to === k)
+        .reduce((total, flow) => add(total, flow.amount), 0),
+      buffer: nodeBuffer(nodes, k),
+    }));
+}
+
+function describeNode(nodes, k) {
+  const { type, amount } = nodes[k];
+  if (type === NODE_TYPE_IDS.SOURCE) {
+    return `${nodeName(nodes, k)} (source, supply ${formatCompact(amount)})`;
+  }
+  if (type === NODE_TYPE_IDS.SINK) {
+    return `${nodeName(nodes, k)} (sink, demand ${formatCompact(amount)})`;
+  }
+  return `${nodeName(nodes, k)} (transshipment point, buffer ${formatCompact(
+    nodeBuffer(nodes, k)
+  )})`;
+}
+
+/**
+ * Logs which node stands behind every row and column of the table
+ */
+export function logConversion(logger, { nodes }, { rowNodes, columnNodes }) {
+  const rows = rowNodes
+    .map((k, i) => `Supplier ${i + 1} = ${describeNode(nodes, k)}`)
+    .join("\n");
+  const columns = columnNodes
+    .map((k, j) => `Consumer ${j + 1} = ${describeNode(nodes, k)}`)
+    .join("\n");
+  logger.logStep(
+    "Transshipment Network",
+    `The network is solved as a transportation table. Nodes that send goods become suppliers, nodes that receive them become consumers; a transshipment point is both, with its buffer as supply and demand, and the part of the buffer it ships to itself (at zero cost) is simply not used. Missing node-to-node routes are forbidden.\n\n${rows}\n\n${columns}`
+  );
+}
+
+/**
+ * Logs the optimal flows along the original node-to-node routes and the
+ * amount passing through every transshipment point
+ */
+export function logFlows(logger, { nodes, costs }, flows, throughput) {
+  const totalCost = sum(
+    flows.map(({ from, to, amount }) => mul(amount, costs[from][to]))
+  );
+  logger.logSummaryTable(
+    "Flows Between Nodes",
+    `Total cost of the network flows Z = ${formatCompact(totalCost)}.`,
+    ["Route", "Amount", "Cost per unit", "Cost"],
+    flows.map(({ from, to, amount }) => [
+      `${nodeName(nodes, from)} → ${nodeName(nodes, to)}`,
+      formatCompact(amount),
+      formatCompact(costs[from][to]),
+      formatCompact(mul(amount, costs[from][to])),
+    ])
+  );
+  if (throughput.length === 0) return;
+  logger.logSummaryTable(
+    "Transshipment Points",
+    "Goods received by a transshipment point are forwarded in full.",
+    ["Node", "Received and forwarded", "Buffer"],
+    throughput.map(({ node, amount, buffer }) => [
+      nodeName(nodes, node),
+      formatCompact(amount),
+      formatCompact(buffer),
+    ])
+  );
+}
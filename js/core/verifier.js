@@ -0,0 +1,554 @@
+// Module for the independent check of a transportation plan: feasibility,
+// basis size, total cost and an optimality certificate built from its own
+// potentials. Nothing here relies on the solver that produced the plan.
+
+import {
+  add,
+  compare,
+  isPositive,
+  isZero,
+  mul,
+  sub,
+  sum,
+  zeroLike,
+} from "../utils/arithmetic.js";
+import { formatCompact } from "../utils/numberFormat.js";
+import { OBJECTIVE_IDS } from "./methodDefinitions.js";
+
+export const VERIFICATION_CHECK_IDS = {
+  FEASIBILITY: "feasibility",
+  BASIS: "basis",
+  TOTAL_COST: "total-cost",
+  OPTIMALITY: "optimality",
+};
+
+// Violations quoted in the details of a failed check
+const MAX_LISTED_VIOLATIONS = 3;
+
+function cellName(i, j) {
+  return `route (Supplier ${i + 1}, Consumer ${j + 1})`;
+}
+
+function listViolations(violations) {
+  const listed = violations.slice(0, MAX_LISTED_VIOLATIONS).join("; ");
+  const more = violations.length - MAX_LISTED_VIOLATIONS;
+  return more > 0 ? `${listed}; and ${more} more` : listed;
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Bounds, forbidden flag and shipment of every cell of the table
+ */
+function describeCells(table, plan) {
+  return plan.map((row, i) =>
+    row.map((value, j) => {
+      const amount = value ?? 0;
+      const lower = table.lowerBounds?.[i]?.[j] ?? zeroLike(amount);
+      const upper = table.capacities?.[i]?.[j] ?? null;
+      return {
+        amount,
+        isListed: value !== null && value !== undefined,
+        isForbidden:
+          table.costs[i][j] === null || Boolean(table.forbidden?.[i]?.[j]),
+        lower,
+        upper,
+        // Strictly between its bounds: a basic cell of a non-degenerate plan
+        isFree:
+          compare(amount, lower) > 0 &&
+          (upper === null || compare(amount, upper) < 0),
+        atUpper: upper !== null && compare(amount, upper) === 0,
+        isFixed: upper !== null && compare(lower, upper) === 0,
+      };
+    })
+  );
+}
+
+/**
+ * Shipments within the route bounds, supplies shipped out and demands met.
+ * In an open problem the larger side only has to cover the smaller one.
+ */
+function checkFeasibility(table, cells) {
+  const violations = [];
+  const totalSupply = sum(table.supplies);
+  const totalDemand = sum(table.demands);
+  const supplyExcess = compare(totalSupply, totalDemand) > 0;
+  const demandExcess = compare(totalSupply, totalDemand) < 0;
+
+  cells.forEach((row, i) =>
+    row.forEach((cell, j) => {
+      if (cell.isForbidden && !isZero(cell.amount)) {
+        violations.push(
+          `${cellName(i, j)} is forbidden but ships ${formatCompact(
+            cell.amount
+          )}`
+        );
+      } else if (compare(cell.amount, cell.lower) < 0) {
+        violations.push(
+          `${cellName(i, j)} ships ${formatCompact(
+            cell.amount
+          )}, less than ${formatCompact(cell.lower)}`
+        );
+      } else if (cell.upper !== null && compare(cell.amount, cell.upper) > 0) {
+        violations.push(
+          `${cellName(i, j)} ships ${formatCompact(
+            cell.amount
+          )}, more than its capacity ${formatCompact(cell.upper)}`
+        );
+      }
+    })
+  );
+
+  table.supplies.forEach((supply, i) => {
+    const shipped = sum(cells[i].map((cell) => cell.amount));
+    const order = compare(shipped, supply);
+    if (order > 0 || (order < 0 && !supplyExcess)) {
+      violations.push(
+        `Supplier ${i + 1} ships ${formatCompact(
+          shipped
+        )} of its supply ${formatCompact(supply)}`
+      );
+    }
+  });
+
+  table.demands.forEach((demand, j) => {
+    const received = sum(cells.map((row) => row[j].amount));
+    const order = compare(received, demand);
+    if (order > 0 || (order < 0 && !demandExcess)) {
+      violations.push(
+        `Consumer ${j + 1} receives ${formatCompact(
+          received
+        )} of its demand ${formatCompact(demand)}`
+      );
+    }
+  });
+
+  return {
+    id: VERIFICATION_CHECK_IDS.FEASIBILITY,
+    label: "Feasibility",
+    passed: violations.length === 0,
+    details:
+      violations.length === 0
+        ? "Every shipment respects its route bounds, every supply is shipped out and every demand is met."
+        : `${capitalize(listViolations(violations))}.`,
+  };
+}
+
+/**
+ * Table of an open problem completed by a dummy row or column that takes
+ * the unused supply or the unmet demand, so that potentials can be built
+ */
+function balanceTable(table, cells, dummyCost) {
+  const totalSupply = sum(table.supplies);
+  const totalDemand = sum(table.demands);
+  const order = compare(totalSupply, totalDemand);
+  const costs = table.costs.map((row) => [...row]);
+  const rows = cells.map((row) => [...row]);
+  const dummyCell = (amount) => ({
+    amount,
+    isListed: isPositive(amount),
+    isForbidden: false,
+    lower: zeroLike(amount),
+    upper: null,
+    isFree: isPositive(amount),
+    atUpper: false,
+    isFixed: false,
+  });
+
+  if (order > 0) {
+    costs.forEach((row) => row.push(dummyCost));
+    rows.forEach((row, i) =>
+      row.push(
+        dummyCell(sub(table.supplies[i], sum(row.map((cell) => cell.amount))))
+      )
+    );
+  } else if (order < 0) {
+    costs.push(costs[0].map(() => dummyCost));
+    rows.push(
+      table.demands.map((demand, j) =>
+        dummyCell(sub(demand, sum(cells.map((row) => row[j].amount))))
+      )
+    );
+  }
+
+  return { costs, cells: rows };
+}
+
+/**
+ * Representative of a node in a union-find forest
+ */
+function findRoot(parent, node) {
+  while (parent[node] !== node) {
+    parent[node] = parent[parent[node]];
+    node = parent[node];
+  }
+  return node;
+}
+
+/**
+ * A basic plan ships along at most m + n − 1 cells that contain no cycle.
+ * Without route bounds the cells listed in the plan (not null) that fit in
+ * a basis tell its zero basic cells.
+ */
+function checkBasis(cells) {
+  const m = cells.length;
+  const n = cells[0].length;
+  const required = m + n - 1;
+  const parent = Array.from({ length: m + n }, (_, node) => node);
+  const hasBounds = cells.some((row) =>
+    row.some((cell) => cell.upper !== null || isPositive(cell.lower))
+  );
+  let occupied = 0;
+  let listed = 0;
+  let cycleCell = null;
+
+  cells.forEach((row, i) =>
+    row.forEach((cell, j) => {
+      if (cell.isListed && !hasBounds) listed++;
+      if (!cell.isFree) return;
+      occupied++;
+      const a = findRoot(parent, i);
+      const b = findRoot(parent, m + j);
+      if (a === b) cycleCell ??= { i, j };
+      else parent[a] = b;
+    })
+  );
+
+  const counts = `${occupied} occupied cells, m + n − 1 = ${required}`;
+  const zeros = listed - occupied;
+  let details;
+  if (cycleCell) {
+    details = `${counts}. The occupied cells form a cycle through ${cellName(
+      cycleCell.i,
+      cycleCell.j
+    )}, so the plan is not basic.`;
+  } else if (occupied === required) {
+    details = `${counts}: a non-degenerate basic plan.`;
+  } else {
+    details = `${counts}: a degenerate basic plan${
+      zeros > 0 && listed <= required
+        ? ` (${zeros} basic ${
+            zeros === 1 ? "cell carries" : "cells carry"
+          } zero)`
+        : ""
+    }.`;
+  }
+
+  return {
+    id: VERIFICATION_CHECK_IDS.BASIS,
+    label: "Basic cells",
+    passed: cycleCell === null,
+    details,
+  };
+}
+
+function planValue(costs, cells) {
+  return sum(
+    cells.flatMap((row, i) =>
+      row.map((cell, j) =>
+        costs[i][j] === null || isZero(cell.amount)
+          ? 0
+          : mul(costs[i][j], cell.amount)
+      )
+    )
+  );
+}
+
+function checkTotalCost(totalCost, reportedCost, isProfit) {
+  const name = isProfit ? "profit" : "cost";
+  const recomputed = `Σ c·x = ${formatCompact(totalCost)}`;
+  if (reportedCost === null) {
+    return {
+      id: VERIFICATION_CHECK_IDS.TOTAL_COST,
+      label: "Total cost",
+      passed: true,
+      details: `${recomputed}.`,
+    };
+  }
+
+  const passed = compare(totalCost, reportedCost) === 0;
+  return {
+    id: VERIFICATION_CHECK_IDS.TOTAL_COST,
+    label: "Total cost",
+    passed,
+    details: passed
+      ? `${recomputed}, as reported.`
+      : `${recomputed}, but the reported total ${name} is ${formatCompact(
+          reportedCost
+        )}.`,
+  };
+}
+
+/**
+ * Builds potentials u, v with u_i + v_j = c_ij on every free cell (complementary
+ * slackness), then shifts the potentials of the separate trees of a
+ * degenerate plan (difference constraints, Bellman–Ford) so that
+ * u_i + v_j ≤ c_ij on the cells at their lower bound and ≥ c_ij on the cells
+ * at capacity (dual feasibility). Costs are minimized; returns null when no
+ * such potentials exist, i.e. when the plan is not optimal.
+ */
+function buildPotentials(costs, cells) {
+  const m = cells.length;
+  const n = cells[0].length;
+  const zero = zeroLike(costs.flat().find((cost) => cost !== null) ?? 0);
+  const potential = Array(m + n).fill(null);
+  const component = Array(m + n).fill(-1);
+  const neighbours = Array.from({ length: m + n }, () => []);
+
+  cells.forEach((row, i) =>
+    row.forEach((cell, j) => {
+      if (cell.isFree && !cell.isForbidden) {
+        neighbours[i].push(m + j);
+        neighbours[m + j].push(i);
+      }
+    })
+  );
+
+  // Potentials inside each tree of free cells: u_i + v_j = c_ij
+  const edgeCost = (a, b) => (a < m ? costs[a][b - m] : costs[b][a - m]);
+  let components = 0;
+  for (let root = 0; root < m + n; root++) {
+    if (component[root] !== -1) continue;
+    component[root] = components;
+    potential[root] = zero;
+    const queue = [root];
+    for (let head = 0; head < queue.length; head++) {
+      const node = queue[head];
+      for (const next of neighbours[node]) {
+        const expected = sub(edgeCost(node, next), potential[node]);
+        if (component[next] === -1) {
+          component[next] = components;
+          potential[next] = expected;
+          queue.push(next);
+        } else if (compare(potential[next], expected) !== 0) {
+          // A cycle of free cells with a non-zero cost balance
+          return null;
+        }
+      }
+    }
+    components++;
+  }
+
+  // Offsets t of the trees: u_i + t_A and v_j − t_B must satisfy
+  // t_A − t_B ≤ c_ij − u_i − v_j (lower bound) or ≥ (capacity)
+  const constraints = [];
+  cells.forEach((row, i) =>
+    row.forEach((cell, j) => {
+      if (cell.isFree || cell.isForbidden || cell.isFixed) return;
+      const slack = sub(costs[i][j], add(potential[i], potential[m + j]));
+      const a = component[i];
+      const b = component[m + j];
+      // Within one tree nothing can move; the Δ check reports such cells
+      if (a === b) return;
+      constraints.push(
+        cell.atUpper
+          ? { from: a, to: b, weight: sub(zero, slack) }
+          : { from: b, to: a, weight: slack }
+      );
+    })
+  );
+
+  const offset = Array(components).fill(zero);
+  for (let round = 0; round <= components; round++) {
+    let changed = false;
+    constraints.forEach(({ from, to, weight }) => {
+      const candidate = add(offset[from], weight);
+      if (compare(candidate, offset[to]) < 0) {
+        offset[to] = candidate;
+        changed = true;
+      }
+    });
+    if (!changed) break;
+    // Still relaxing after every tree had its turn: a negative cycle
+    if (round === components) return null;
+  }
+
+  const shifted = potential.map((value, node) =>
+    node < m
+      ? add(value, offset[component[node]])
+      : sub(value, offset[component[node]])
+  );
+  // Normalized to u_1 = 0
+  const base = shifted[0];
+  return {
+    u: shifted.slice(0, m).map((value) => sub(value, base)),
+    v: shifted.slice(m).map((value) => add(value, base)),
+  };
+}
+
+/**
+ * Independent optimality certificate: own potentials, then Δ = u_i + v_j − c_ij
+ * checked on every cell. Returns { check, potentials }, with the potentials
+ * only when they prove optimality.
+ */
+function checkOptimality(costs, cells, isProfit) {
+  const check = {
+    id: VERIFICATION_CHECK_IDS.OPTIMALITY,
+    label: "Optimality",
+  };
+  // Profits are maximized by minimizing their negatives
+  const minCosts = costs.map((row) =>
+    row.map((cost) =>
+      cost === null || !isProfit ? cost : sub(zeroLike(cost), cost)
+    )
+  );
+  const potentials = buildPotentials(minCosts, cells);
+  if (!potentials) {
+    return {
+      check: {
+        ...check,
+        passed: false,
+        details: `No potentials satisfy complementary slackness and dual feasibility together: a ${
+          isProfit ? "more profitable" : "cheaper"
+        } plan exists.`,
+      },
+      potentials: null,
+    };
+  }
+
+  const violations = [];
+  cells.forEach((row, i) =>
+    row.forEach((cell, j) => {
+      if (cell.isForbidden || cell.isFixed) return;
+      const delta = sub(add(potentials.u[i], potentials.v[j]), minCosts[i][j]);
+      const violated = cell.isFree
+        ? !isZero(delta)
+        : cell.atUpper
+        ? compare(delta, 0) < 0
+        : isPositive(delta);
+      if (violated) {
+        violations.push(
+          `${cellName(i, j)} has Δ = ${formatCompact(
+            isProfit ? sub(zeroLike(delta), delta) : delta
+          )}`
+        );
+      }
+    })
+  );
+
+  if (violations.length > 0) {
+    return {
+      check: {
+        ...check,
+        passed: false,
+        details: `The potentials violate the optimality conditions: ${listViolations(
+          violations
+        )}.`,
+      },
+      potentials: null,
+    };
+  }
+
+  const sign = isProfit ? "≥" : "≤";
+  const reverse = cells.some((row) => row.some((cell) => cell.atUpper))
+    ? " (the reverse on cells at capacity)"
+    : "";
+  return {
+    check: {
+      ...check,
+      passed: true,
+      details: `Own potentials give u_i + v_j = c_ij on every occupied cell and u_i + v_j ${sign} c_ij on every empty one${reverse}: the plan is optimal.`,
+    },
+    // Reported in terms of the original costs or profits
+    potentials: isProfit
+      ? {
+          u: potentials.u.map((value) => sub(zeroLike(value), value)),
+          v: potentials.v.map((value) => sub(zeroLike(value), value)),
+        }
+      : potentials,
+  };
+}
+
+/**
+ * Checks a plan against a table
+ * { costs, supplies, demands, capacities?, lowerBounds?, objective?, forbidden? }
+ * in the problem format (null cost = forbidden route) or the balanced table
+ * of a solver result. plan holds the shipment of every cell, null for an
+ * empty cell; an open problem is balanced with a dummy row/column at
+ * options.dummyCost. options.totalCost is the reported total to compare.
+ * Returns { passed, checks: [{ id, label, passed, details }], potentials },
+ * with potentials { u, v } of the balanced table when they prove optimality.
+ */
+export function verifyPlan(table, plan, options = {}) {
+  const { totalCost = null, dummyCost = 0 } = options;
+  const m = table.supplies.length;
+  const n = table.demands.length;
+  if (plan.length !== m || plan.some((row) => row.length !== n)) {
+    throw new Error(`The plan must have ${m} rows of ${n} shipments.`);
+  }
+
+  const isProfit = table.objective === OBJECTIVE_IDS.MAXIMIZE;
+  const cells = describeCells(table, plan);
+  const feasibility = checkFeasibility(table, cells);
+  const balanced = balanceTable(table, cells, dummyCost);
+  const checks = [
+    feasibility,
+    checkBasis(balanced.cells),
+    checkTotalCost(planValue(table.costs, cells), totalCost, isProfit),
+  ];
+
+  let potentials = null;
+  if (feasibility.passed) {
+    const optimality = checkOptimality(
+      balanced.costs,
+      balanced.cells,
+      isProfit
+    );
+    checks.push(optimality.check);
+    potentials = optimality.potentials;
+  } else {
+    checks.push({
+      id: VERIFICATION_CHECK_IDS.OPTIMALITY,
+      label: "Optimality",
+      passed: false,
+      details: "Not checked: the plan is infeasible.",
+    });
+  }
+
+  return {
+    passed: checks.every((check) => check.passed),
+    checks,
+    potentials,
+  };
+}
+
+/**
+ * Checks the plan of a solver result (see solutionResult.js), or returns
+ * null when the result has no plan
+ */
+export function verifyResult(result) {
+  if (!result.plan) return null;
+  return verifyPlan(result, result.plan, { totalCost: result.totalCost });
+}
+
+/**
+ * Logs the checklist of a verification; a failed check is reported loudly
+ */
+export function logVerification(logger, verification) {
+  const failed = verification.checks.filter((check) => !check.passed);
+  logger.logSummaryTable(
+    "Independent Verification",
+    failed.length === 0
+      ? `All ${verification.checks.length} checks passed.`
+      : `${failed.length} of ${verification.checks.length} checks failed.`,
+    ["Check", "Result", "Details"],
+    verification.checks.map((check) => [
+      check.label,
+      check.passed ? "✔ Passed" : "✘ Failed",
+      check.details,
+    ]),
+    verification.checks
+      .map((check, index) => (check.passed ? index : -1))
+      .filter((index) => index !== -1)
+  );
+  if (failed.length > 0) {
+    logger.logError(
+      "Verification Failed",
+      `Do not trust this plan: ${failed
+        .map((check) => check.label.toLowerCase())
+        .join(", ")} failed the independent check.`
+    );
+  }
+}
@@ -1,27 +1,77 @@
 // Main entry point for the Transportation Problem Solver
 
 import { InputHandler } from "./ui/inputHandler.js";
+import { TransshipmentEditor } from "./ui/transshipmentEditor.js";
 import { JSONFileReader } from "./utils/fileReader.js";
+import { JSONFileWriter } from "./utils/fileWriter.js";
+import {
+  CSVFileReader,
+  formatPlanCSV,
+  formatProblemCSV,
+  parsePlanCSV,
+} from "./utils/csvFile.js";
+import { downloadTextFile } from "./utils/fileDownload.js";
 import { Validator } from "./utils/validator.js";
 import { Logger } from "./ui/logger.js";
-import { TransportationProblemSolver } from "./core/solver.js";
-import { DifferentialRentMethod } from "./algorithms/differentialRentMethod.js";
+import { defaultIterationLimit, findMethodRestriction } from "./core/api.js";
+import { isTransshipmentNetwork } from "./core/transshipment.js";
+import { logVerification, verifyPlan } from "./core/verifier.js";
+import {
+  reviveFractions,
+  runSolveRequest,
+  SOLVE_KINDS,
+} from "./core/solveRequest.js";
+import { compare } from "./utils/arithmetic.js";
+import { formatCompact } from "./utils/numberFormat.js";
 import {
   DOM_IDS,
   DEFAULT_COSTS,
   DEFAULT_SUPPLIES,
   DEFAULT_DEMANDS,
+  DEFAULT_NETWORK,
+  DEFAULT_MAX_ITERATIONS,
+  SOLUTION_STATUS,
+  SOLUTION_STATUS_LABELS,
 } from "./constants.js";
 import {
   SOLVER_METHODS,
   DEFAULT_METHOD_ID,
   METHOD_IDS,
+  METHOD_RESTRICTIONS,
+  INITIAL_PLAN_METHODS,
+  DEFAULT_INITIAL_PLAN_ID,
+  COMPARE_ALL_INITIAL_PLANS,
+  PIVOT_RULES,
+  DEFAULT_PIVOT_RULE_ID,
+  DEGENERACY_METHODS,
+  DEFAULT_DEGENERACY_ID,
+  OBJECTIVES,
+  OBJECTIVE_IDS,
+  DEFAULT_OBJECTIVE_ID,
+  PROBLEM_TYPES,
+  PROBLEM_TYPE_IDS,
+  DEFAULT_PROBLEM_TYPE_ID,
 } from "./core/methodDefinitions.js";
 
 let inputHandler;
+let transshipmentEditor;
 let defaultCosts = DEFAULT_COSTS.map((row) => [...row]);
 let defaultSupplies = [...DEFAULT_SUPPLIES];
 let defaultDemands = [...DEFAULT_DEMANDS];
+// Optional route bounds of the grid: { capacities, lowerBounds }
+let defaultRouteBounds = {};
+let defaultNetwork = structuredClone(DEFAULT_NETWORK);
+// Solve running in the solver worker: { worker, logger, resolve }
+let activeSolve = null;
+// Last transportation problem solved to optimality and its result, for the
+// plan and solution exports: { problem, result }
+let lastSolve = null;
+
+// Checkbox that shows each optional route field of the grid
+const ROUTE_FIELD_TOGGLES = {
+  capacities: DOM_IDS.CAPACITIES_TOGGLE,
+  lowerBounds: DOM_IDS.LOWER_BOUNDS_TOGGLE,
+};
 
 // Initialize the application
 function init() {
@@ -41,11 +91,39 @@ function init() {
   document.head.appendChild(script);
 
   inputHandler = new InputHandler();
+  transshipmentEditor = new TransshipmentEditor();
+  initializeOptionSelect(
+    DOM_IDS.PROBLEM_TYPE_SELECT,
+    DOM_IDS.PROBLEM_TYPE_DESCRIPTION,
+    PROBLEM_TYPES,
+    DEFAULT_PROBLEM_TYPE_ID
+  );
   initializeMethodSelect();
+  initializeInitialPlanSelect();
+  initializeOptionSelect(
+    DOM_IDS.OBJECTIVE_SELECT,
+    DOM_IDS.OBJECTIVE_DESCRIPTION,
+    OBJECTIVES,
+    DEFAULT_OBJECTIVE_ID
+  );
+  initializeOptionSelect(
+    DOM_IDS.PIVOT_RULE_SELECT,
+    DOM_IDS.PIVOT_RULE_DESCRIPTION,
+    PIVOT_RULES,
+    DEFAULT_PIVOT_RULE_ID
+  );
+  initializeOptionSelect(
+    DOM_IDS.DEGENERACY_SELECT,
+    DOM_IDS.DEGENERACY_DESCRIPTION,
+    DEGENERACY_METHODS,
+    DEFAULT_DEGENERACY_ID
+  );
+  initializeIterationLimit();
 
   // Render the initial matrix
   inputHandler.generateMatrixUI(defaultCosts, defaultSupplies, defaultDemands);
   inputHandler.updateBalanceDisplay();
+  transshipmentEditor.generateNetworkUI(defaultNetwork);
 
   // Set up event listeners
   setupEventListeners();
@@ -58,12 +136,52 @@ function setupEventListeners() {
     solveButton.addEventListener("click", handleSolve);
   }
 
+  // Solve with every method and compare the results
+  const compareMethodsButton = document.getElementById(
+    DOM_IDS.COMPARE_METHODS_BUTTON
+  );
+  if (compareMethodsButton) {
+    compareMethodsButton.addEventListener("click", handleCompareMethods);
+  }
+
+  // Independent check of a plan typed under the table
+  const checkPlanButton = document.getElementById(DOM_IDS.CHECK_PLAN_BUTTON);
+  if (checkPlanButton) {
+    checkPlanButton.addEventListener("click", handleCheckPlan);
+  }
+
+  // Cancel button of the running solve
+  const cancelButton = document.getElementById(DOM_IDS.CANCEL_SOLVE);
+  if (cancelButton) {
+    cancelButton.addEventListener("click", cancelSolve);
+  }
+
   // JSON upload
   const jsonUpload = document.getElementById(DOM_IDS.JSON_UPLOAD);
   if (jsonUpload) {
     jsonUpload.addEventListener("change", handleFileUpload);
   }
 
+  // CSV export of the input table and of the last optimal plan
+  const exportProblemCSV = document.getElementById(DOM_IDS.EXPORT_PROBLEM_CSV);
+  if (exportProblemCSV) {
+    exportProblemCSV.addEventListener("click", handleExportProblemCSV);
+  }
+  const exportPlanCSV = document.getElementById(DOM_IDS.EXPORT_PLAN_CSV);
+  if (exportPlanCSV) {
+    exportPlanCSV.addEventListener("click", handleExportPlanCSV);
+  }
+
+  // JSON files of the current input and of the last solution
+  const saveProblem = document.getElementById(DOM_IDS.SAVE_PROBLEM);
+  if (saveProblem) {
+    saveProblem.addEventListener("click", handleSaveProblem);
+  }
+  const saveSolution = document.getElementById(DOM_IDS.SAVE_SOLUTION);
+  if (saveSolution) {
+    saveSolution.addEventListener("click", handleSaveSolution);
+  }
+
   // Add supplier button
   const addSupplier = document.getElementById(DOM_IDS.ADD_SUPPLIER);
   if (addSupplier) {
@@ -74,14 +192,21 @@ function setupEventListeners() {
         defaultCosts = currentData.costs;
         defaultSupplies = currentData.supplies;
         defaultDemands = currentData.demands;
+        defaultRouteBounds = routeBoundsOf(currentData);
       }
-      inputHandler.addSupplier(defaultCosts, defaultSupplies, defaultDemands);
+      inputHandler.addSupplier(
+        defaultCosts,
+        defaultSupplies,
+        defaultDemands,
+        defaultRouteBounds
+      );
       // Update defaults with new values
       const newData = inputHandler.parseInputMatrix();
       if (newData) {
         defaultCosts = newData.costs;
         defaultSupplies = newData.supplies;
         defaultDemands = newData.demands;
+        defaultRouteBounds = routeBoundsOf(newData);
       }
     });
   }
@@ -96,18 +221,59 @@ function setupEventListeners() {
         defaultCosts = currentData.costs;
         defaultSupplies = currentData.supplies;
         defaultDemands = currentData.demands;
+        defaultRouteBounds = routeBoundsOf(currentData);
       }
-      inputHandler.addConsumer(defaultCosts, defaultSupplies, defaultDemands);
+      inputHandler.addConsumer(
+        defaultCosts,
+        defaultSupplies,
+        defaultDemands,
+        defaultRouteBounds
+      );
       // Update defaults with new values
       const newData = inputHandler.parseInputMatrix();
       if (newData) {
         defaultCosts = newData.costs;
         defaultSupplies = newData.supplies;
         defaultDemands = newData.demands;
+        defaultRouteBounds = routeBoundsOf(newData);
+      }
+    });
+  }
+
+  // Add node button of the transshipment editor
+  const addNode = document.getElementById(DOM_IDS.ADD_NODE);
+  if (addNode) {
+    addNode.addEventListener("click", () => {
+      try {
+        defaultNetwork = transshipmentEditor.parseNetwork();
+      } catch (error) {
+        inputHandler.showMessage("Invalid Input Data", error.message);
       }
+      transshipmentEditor.addNode(defaultNetwork);
+      defaultNetwork = transshipmentEditor.parseNetwork();
     });
   }
 
+  // Transportation table or transshipment network editor
+  const problemTypeSelect = document.getElementById(
+    DOM_IDS.PROBLEM_TYPE_SELECT
+  );
+  if (problemTypeSelect) {
+    problemTypeSelect.addEventListener("change", () =>
+      showProblemEditor(problemTypeSelect.value)
+    );
+  }
+
+  // Route capacity and minimum shipment toggles
+  Object.entries(ROUTE_FIELD_TOGGLES).forEach(([field, toggleId]) => {
+    const toggle = document.getElementById(toggleId);
+    if (toggle) {
+      toggle.addEventListener("change", () =>
+        inputHandler.setRouteFieldVisible(field, toggle.checked)
+      );
+    }
+  });
+
   // Message box close button
   const messageBox = document.getElementById(DOM_IDS.MESSAGE_BOX);
   if (messageBox) {
@@ -133,10 +299,14 @@ function initializeMethodSelect() {
   methodSelect.value = DEFAULT_METHOD_ID;
   updateMethodDescription(DEFAULT_METHOD_ID, descriptionEl);
 
+  let previousMethodId = DEFAULT_METHOD_ID;
   methodSelect.addEventListener("change", (event) => {
     const target = event.target;
     const methodId = target.value;
     updateMethodDescription(methodId, descriptionEl);
+    updatePotentialOptionsAvailability(methodId);
+    updateIterationLimit(previousMethodId, methodId);
+    previousMethodId = methodId;
   });
 }
 
@@ -146,83 +316,541 @@ function updateMethodDescription(methodId, descriptionEl) {
   descriptionEl.textContent = method?.description ?? "";
 }
 
+function initializeInitialPlanSelect() {
+  const initialPlanSelect = document.getElementById(
+    DOM_IDS.INITIAL_PLAN_SELECT
+  );
+  const descriptionEl = document.getElementById(
+    DOM_IDS.INITIAL_PLAN_DESCRIPTION
+  );
+  if (!initialPlanSelect) return;
+
+  initialPlanSelect.innerHTML = [
+    ...INITIAL_PLAN_METHODS,
+    COMPARE_ALL_INITIAL_PLANS,
+  ]
+    .map((method) => `<option value="${method.id}">${method.label}</option>`)
+    .join("");
+
+  initialPlanSelect.value = DEFAULT_INITIAL_PLAN_ID;
+  updateInitialPlanDescription(DEFAULT_INITIAL_PLAN_ID, descriptionEl);
+  updatePotentialOptionsAvailability(DEFAULT_METHOD_ID);
+
+  initialPlanSelect.addEventListener("change", (event) => {
+    updateInitialPlanDescription(event.target.value, descriptionEl);
+  });
+}
+
+function updateInitialPlanDescription(initialPlanId, descriptionEl) {
+  if (!descriptionEl) return;
+  const method = [...INITIAL_PLAN_METHODS, COMPARE_ALL_INITIAL_PLANS].find(
+    (item) => item.id === initialPlanId
+  );
+  descriptionEl.textContent = method?.description ?? "";
+}
+
+/**
+ * Fills a select of potential method options and keeps its description in sync
+ */
+function initializeOptionSelect(selectId, descriptionId, options, defaultId) {
+  const select = document.getElementById(selectId);
+  const descriptionEl = document.getElementById(descriptionId);
+  if (!select) return;
+
+  select.innerHTML = options
+    .map((option) => `<option value="${option.id}">${option.label}</option>`)
+    .join("");
+  select.value = defaultId;
+
+  const updateDescription = () => {
+    if (!descriptionEl) return;
+    const option = options.find((item) => item.id === select.value);
+    descriptionEl.textContent = option?.description ?? "";
+  };
+  updateDescription();
+  select.addEventListener("change", updateDescription);
+}
+
+// The initial plan, pivot rule, degeneracy handling, exact arithmetic and
+// alternative optimal plans apply to the potential method only
+function updatePotentialOptionsAvailability(methodId) {
+  [
+    DOM_IDS.INITIAL_PLAN_SELECT,
+    DOM_IDS.PIVOT_RULE_SELECT,
+    DOM_IDS.DEGENERACY_SELECT,
+    DOM_IDS.EXACT_MODE,
+    DOM_IDS.ALTERNATIVE_PLANS,
+  ].forEach((id) => {
+    const element = document.getElementById(id);
+    if (element) element.disabled = methodId !== METHOD_IDS.POTENTIAL;
+  });
+}
+
+function initializeIterationLimit() {
+  const input = document.getElementById(DOM_IDS.MAX_ITERATIONS);
+  if (input) input.value = String(DEFAULT_MAX_ITERATIONS);
+}
+
+// A limit left at the default of the previous method follows the new method
+function updateIterationLimit(previousMethodId, methodId) {
+  const input = document.getElementById(DOM_IDS.MAX_ITERATIONS);
+  if (
+    input &&
+    Number(input.value) === defaultIterationLimit(previousMethodId)
+  ) {
+    input.value = String(defaultIterationLimit(methodId));
+  }
+}
+
+/**
+ * Iteration limit entered by the user, or null when it is not a positive integer
+ */
+function readIterationLimit() {
+  const input = document.getElementById(DOM_IDS.MAX_ITERATIONS);
+  if (!input || input.value.trim() === "") {
+    const methodSelect = document.getElementById(DOM_IDS.METHOD_SELECT);
+    return defaultIterationLimit(methodSelect?.value ?? DEFAULT_METHOD_ID);
+  }
+  const value = Number(input.value);
+  return Number.isInteger(value) && value > 0 ? value : null;
+}
+
+/**
+ * Tariff of the dummy row/column, or null when the input is not a number
+ */
+function readDummyCost() {
+  const input = document.getElementById(DOM_IDS.DUMMY_COST);
+  if (!input || input.value.trim() === "") return 0;
+  const value = Number(input.value);
+  return Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Number of alternative optimal plans to list, or null when the input is
+ * not a non-negative integer
+ */
+function readAlternativePlanLimit() {
+  const input = document.getElementById(DOM_IDS.ALTERNATIVE_PLANS);
+  if (!input || input.value.trim() === "") return 0;
+  const value = Number(input.value);
+  return Number.isInteger(value) && value >= 0 ? value : null;
+}
+
+function selectedProblemType() {
+  const select = document.getElementById(DOM_IDS.PROBLEM_TYPE_SELECT);
+  return select?.value ?? DEFAULT_PROBLEM_TYPE_ID;
+}
+
+function showProblemEditor(problemTypeId) {
+  const isNetwork = problemTypeId === PROBLEM_TYPE_IDS.TRANSSHIPMENT;
+  document
+    .getElementById(DOM_IDS.TRANSPORTATION_EDITOR)
+    ?.classList.toggle("hidden", isNetwork);
+  document
+    .getElementById(DOM_IDS.TRANSSHIPMENT_EDITOR)
+    ?.classList.toggle("hidden", !isNetwork);
+}
+
+/**
+ * Route bounds present in the problem data
+ */
+function routeBoundsOf(data) {
+  return Object.fromEntries(
+    Object.keys(ROUTE_FIELD_TOGGLES)
+      .filter((field) => data[field])
+      .map((field) => [field, data[field]])
+  );
+}
+
 async function handleFileUpload(event) {
   const target = event.target;
   const file = target.files?.[0];
   if (!file) return;
 
+  const format = file.name.toLowerCase().endsWith(".csv") ? "CSV" : "JSON";
   try {
-    const data = await JSONFileReader.readJSONFile(file);
-    const validationError = Validator.validateData(data);
+    const data =
+      format === "CSV"
+        ? await CSVFileReader.readCSVFile(file)
+        : await JSONFileReader.readJSONFile(file);
+    const isNetwork = isTransshipmentNetwork(data);
+    const validationError = isNetwork
+      ? Validator.validateTransshipment(data)
+      : Validator.validateData(data);
 
     if (validationError) {
-      inputHandler.showMessage("JSON Error", validationError);
+      inputHandler.showMessage(`${format} Error`, validationError);
       const fileStatus = document.getElementById(DOM_IDS.FILE_STATUS);
       if (fileStatus) fileStatus.textContent = "Error loading file.";
       return;
     }
 
+    const problemTypeSelect = document.getElementById(
+      DOM_IDS.PROBLEM_TYPE_SELECT
+    );
+    if (problemTypeSelect) {
+      problemTypeSelect.value = isNetwork
+        ? PROBLEM_TYPE_IDS.TRANSSHIPMENT
+        : PROBLEM_TYPE_IDS.TRANSPORTATION;
+      problemTypeSelect.dispatchEvent(new Event("change"));
+    }
+    if (isNetwork) {
+      defaultNetwork = data;
+      transshipmentEditor.generateNetworkUI(defaultNetwork);
+      const fileStatus = document.getElementById(DOM_IDS.FILE_STATUS);
+      if (fileStatus) fileStatus.textContent = `Data loaded: ${file.name}`;
+      inputHandler.showMessage(
+        "Success",
+        `Data loaded from ${format} file.`,
+        false
+      );
+      return;
+    }
+
     defaultCosts = data.costs;
     defaultSupplies = data.supplies;
     defaultDemands = data.demands;
+    defaultRouteBounds = routeBoundsOf(data);
+    const objectiveSelect = document.getElementById(DOM_IDS.OBJECTIVE_SELECT);
+    if (objectiveSelect) {
+      objectiveSelect.value = data.objective ?? DEFAULT_OBJECTIVE_ID;
+      objectiveSelect.dispatchEvent(new Event("change"));
+    }
+    // Bounds from the file are shown right away
+    Object.keys(defaultRouteBounds).forEach((field) => {
+      const toggle = document.getElementById(ROUTE_FIELD_TOGGLES[field]);
+      if (toggle) toggle.checked = true;
+      inputHandler.setRouteFieldVisible(field, true);
+    });
     inputHandler.generateMatrixUI(
       defaultCosts,
       defaultSupplies,
-      defaultDemands
+      defaultDemands,
+      defaultRouteBounds
     );
 
     const fileStatus = document.getElementById(DOM_IDS.FILE_STATUS);
     if (fileStatus) fileStatus.textContent = `Data loaded: ${file.name}`;
-    inputHandler.showMessage("Success", "Data loaded from JSON file.", false);
+    inputHandler.showMessage(
+      "Success",
+      `Data loaded from ${format} file.`,
+      false
+    );
   } catch (error) {
     const fileStatus = document.getElementById(DOM_IDS.FILE_STATUS);
     if (fileStatus) fileStatus.textContent = "Error loading file.";
-    inputHandler.showMessage("JSON Error", error.message);
+    inputHandler.showMessage(`${format} Error`, error.message);
   }
 }
 
-function handleSolve() {
-  const outputContainer = document.getElementById(DOM_IDS.OUTPUT_CONTAINER);
-  if (!outputContainer) return;
-
-  outputContainer.innerHTML =
-    '<div class="text-center py-4 text-gray-500 font-semibold">Computing...</div>';
+function handleExportProblemCSV() {
+  if (selectedProblemType() === PROBLEM_TYPE_IDS.TRANSSHIPMENT) {
+    inputHandler.showMessage(
+      "Export Error",
+      "Only transportation problems can be exported to CSV."
+    );
+    return;
+  }
 
   const inputData = inputHandler.parseInputMatrix();
   if (!inputData) return;
+  downloadTextFile("problem.csv", formatProblemCSV(inputData), "text/csv");
+  if (inputData.capacities || inputData.lowerBounds) {
+    inputHandler.showMessage(
+      "Exported",
+      "Route capacities and minimum shipments have no place in the CSV layout and were not exported.",
+      false
+    );
+  }
+}
+
+/**
+ * True when a transportation problem has been solved to optimality;
+ * otherwise explains that there is nothing to export
+ */
+function hasSolution() {
+  if (lastSolve) return true;
+  inputHandler.showMessage(
+    "Export Error",
+    "There is no optimal plan to export yet: solve a transportation problem first."
+  );
+  return false;
+}
+
+function handleExportPlanCSV() {
+  if (!hasSolution()) return;
+  downloadTextFile("plan.csv", formatPlanCSV(lastSolve.result), "text/csv");
+}
+
+/**
+ * Saves the grid or the transshipment network as typed, even when it would
+ * not pass validation yet
+ */
+function handleSaveProblem() {
+  let problem;
+  if (selectedProblemType() === PROBLEM_TYPE_IDS.TRANSSHIPMENT) {
+    try {
+      problem = transshipmentEditor.parseNetwork();
+    } catch (error) {
+      inputHandler.showMessage("Invalid Input Data", error.message);
+      return;
+    }
+  } else {
+    problem = inputHandler.parseInputMatrix();
+    if (!problem) return;
+    const objectiveSelect = document.getElementById(DOM_IDS.OBJECTIVE_SELECT);
+    problem.objective = objectiveSelect?.value ?? DEFAULT_OBJECTIVE_ID;
+  }
+  downloadTextFile(
+    "problem.json",
+    JSONFileWriter.problemToJSON(problem),
+    "application/json"
+  );
+}
+
+function handleSaveSolution() {
+  if (!hasSolution()) return;
+  downloadTextFile(
+    "solution.json",
+    JSONFileWriter.solutionToJSON(lastSolve.problem, lastSolve.result),
+    "application/json"
+  );
+}
+
+/**
+ * Options of the method panel shared by every problem type, or null (after
+ * showing a message) when one of them is invalid
+ */
+function readSolverOptions() {
+  const maxIterations = readIterationLimit();
+  if (maxIterations === null) {
+    inputHandler.showMessage(
+      "Validation Error",
+      "Iteration limit must be a positive integer."
+    );
+    return null;
+  }
+
+  const dummyCost = readDummyCost();
+  if (dummyCost === null) {
+    inputHandler.showMessage(
+      "Validation Error",
+      "Dummy cost must be a finite number."
+    );
+    return null;
+  }
+
+  const maxAlternativePlans = readAlternativePlanLimit();
+  if (maxAlternativePlans === null) {
+    inputHandler.showMessage(
+      "Validation Error",
+      "Alternative plan limit must be a non-negative integer."
+    );
+    return null;
+  }
+
+  const pivotRuleSelect = document.getElementById(DOM_IDS.PIVOT_RULE_SELECT);
+  const degeneracySelect = document.getElementById(DOM_IDS.DEGENERACY_SELECT);
+  return {
+    pivotRule: pivotRuleSelect?.value ?? DEFAULT_PIVOT_RULE_ID,
+    degeneracy: degeneracySelect?.value ?? DEFAULT_DEGENERACY_ID,
+    maxIterations,
+    dummyCost,
+    maxAlternativePlans,
+  };
+}
+
+/**
+ * Runs a solve request (see solveRequest.js) in the solver worker, or on this
+ * thread where Web Workers are unavailable. Trace entries are rendered as
+ * they arrive. Resolves with the result, or null when the solve is cancelled.
+ */
+function solveInBackground(request, logger) {
+  showSolveStatus("Computing...");
+  if (typeof Worker === "undefined") {
+    try {
+      return Promise.resolve(
+        runSolveRequest(request, {
+          onEntry: (entry) => logger.renderEntry(entry),
+        })
+      );
+    } catch (error) {
+      return Promise.reject(error);
+    } finally {
+      hideSolveStatus();
+    }
+  }
+
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(
+      new URL("./workers/solverWorker.js", import.meta.url),
+      { type: "module" }
+    );
+    activeSolve = { worker, logger, resolve };
+    const finish = () => {
+      worker.terminate();
+      activeSolve = null;
+      hideSolveStatus();
+    };
+
+    worker.onmessage = ({ data }) => {
+      switch (data.type) {
+        case "entry":
+          logger.renderEntry(reviveFractions(data.entry));
+          break;
+        case "progress":
+          showSolveStatus(formatProgress(reviveFractions(data.progress)));
+          break;
+        case "done":
+          finish();
+          resolve(reviveFractions(data.result));
+          break;
+        case "error":
+          finish();
+          reject(new Error(data.message));
+          break;
+      }
+    };
+    worker.onerror = (event) => {
+      event.preventDefault();
+      finish();
+      reject(new Error(event.message || "The solver could not be started."));
+    };
+    worker.postMessage(request);
+  });
+}
+
+/**
+ * Stops the running solve; the steps rendered so far stay on the page
+ */
+function cancelSolve() {
+  if (!activeSolve) return;
+  const { worker, logger, resolve } = activeSolve;
+  worker.terminate();
+  activeSolve = null;
+  hideSolveStatus();
+  logger.logError(
+    "Solving Cancelled",
+    "The solver was stopped before it finished."
+  );
+  resolve(null);
+}
+
+function formatProgress({ stage, iteration, cost }) {
+  return [
+    `Computing... ${stage}`,
+    iteration !== null && `iteration ${iteration}`,
+    cost !== null && `Z = ${formatCompact(cost)}`,
+  ]
+    .filter(Boolean)
+    .join(", ");
+}
+
+function showSolveStatus(text) {
+  const status = document.getElementById(DOM_IDS.SOLVE_STATUS);
+  const progress = document.getElementById(DOM_IDS.SOLVE_PROGRESS);
+  if (progress) progress.textContent = text;
+  status?.classList.remove("hidden");
+  status?.classList.add("flex");
+}
+
+function hideSolveStatus() {
+  const status = document.getElementById(DOM_IDS.SOLVE_STATUS);
+  status?.classList.add("hidden");
+  status?.classList.remove("flex");
+}
+
+/**
+ * Transportation problem of the grid with the selected objective, or null
+ * (after showing a message) when it is invalid
+ */
+function readTransportationInput() {
+  const inputData = inputHandler.parseInputMatrix();
+  if (!inputData) return null;
+
+  const objectiveSelect = document.getElementById(DOM_IDS.OBJECTIVE_SELECT);
+  inputData.objective = objectiveSelect?.value ?? DEFAULT_OBJECTIVE_ID;
 
   const validationError = Validator.validateData(inputData);
   if (validationError) {
     inputHandler.showMessage("Validation Error", validationError);
+    return null;
+  }
+  return inputData;
+}
+
+async function handleSolve() {
+  const outputContainer = document.getElementById(DOM_IDS.OUTPUT_CONTAINER);
+  if (!outputContainer) return;
+
+  // A new solve replaces the running one
+  cancelSolve();
+  lastSolve = null;
+
+  if (selectedProblemType() === PROBLEM_TYPE_IDS.TRANSSHIPMENT) {
+    await handleTransshipmentSolve(outputContainer);
     return;
   }
 
+  const inputData = readTransportationInput();
+  if (!inputData) return;
+
+  const methodSelect = document.getElementById(DOM_IDS.METHOD_SELECT);
+  const selectedMethod = methodSelect ? methodSelect.value : DEFAULT_METHOD_ID;
+
+  const solverOptions = readSolverOptions();
+  if (!solverOptions) return;
+
   const logger = new Logger(outputContainer);
 
   try {
-    const methodSelect = document.getElementById(DOM_IDS.METHOD_SELECT);
-    const selectedMethod = methodSelect
-      ? methodSelect.value
-      : DEFAULT_METHOD_ID;
-
-    if (selectedMethod === METHOD_IDS.POTENTIAL) {
-      const solver = new TransportationProblemSolver(
-        inputData.costs,
-        inputData.supplies,
-        inputData.demands,
-        logger
-      );
-      solver.solve();
-    } else if (selectedMethod === METHOD_IDS.DIFFERENTIAL_RENT) {
-      const differentialRent = new DifferentialRentMethod(
-        inputData.costs,
-        inputData.supplies,
-        inputData.demands,
+    const initialPlanSelect = document.getElementById(
+      DOM_IDS.INITIAL_PLAN_SELECT
+    );
+    const selectedInitialPlan = initialPlanSelect
+      ? initialPlanSelect.value
+      : DEFAULT_INITIAL_PLAN_ID;
+    const exactMode = document.getElementById(DOM_IDS.EXACT_MODE);
+    const exact =
+      selectedMethod === METHOD_IDS.POTENTIAL && Boolean(exactMode?.checked);
+
+    const restriction = findMethodRestriction(inputData, selectedMethod, exact);
+    if (restriction) {
+      inputHandler.showMessage("Validation Error", restriction.message);
+      return;
+    }
+
+    if (
+      selectedMethod === METHOD_IDS.POTENTIAL &&
+      selectedInitialPlan === COMPARE_ALL_INITIAL_PLANS.id
+    ) {
+      const rows = await solveInBackground(
+        {
+          kind: SOLVE_KINDS.INITIAL_PLAN_COMPARISON,
+          problem: inputData,
+          options: { ...solverOptions, exact },
+        },
         logger
       );
-      differentialRent.solve();
-    } else {
-      throw new Error("Unknown solving method selected.");
+      if (rows) renderInitialPlanComparison(inputData, rows, logger);
+      return;
+    }
+
+    const result = await solveInBackground(
+      {
+        kind: SOLVE_KINDS.TRANSPORTATION,
+        problem: inputData,
+        options: {
+          method: selectedMethod,
+          initialPlan: selectedInitialPlan,
+          ...solverOptions,
+          exact,
+        },
+      },
+      logger
+    );
+    if (result?.status === SOLUTION_STATUS.OPTIMAL) {
+      lastSolve = { problem: inputData, result };
     }
   } catch (e) {
     console.error(e);
@@ -233,6 +861,324 @@ function handleSolve() {
   }
 }
 
+async function handleTransshipmentSolve(outputContainer) {
+  let network;
+  try {
+    network = transshipmentEditor.parseNetwork();
+  } catch (error) {
+    inputHandler.showMessage("Invalid Input Data", error.message);
+    return;
+  }
+
+  const validationError = Validator.validateTransshipment(network);
+  if (validationError) {
+    inputHandler.showMessage("Validation Error", validationError);
+    return;
+  }
+
+  const methodSelect = document.getElementById(DOM_IDS.METHOD_SELECT);
+  if ((methodSelect?.value ?? DEFAULT_METHOD_ID) !== METHOD_IDS.POTENTIAL) {
+    inputHandler.showMessage(
+      "Validation Error",
+      "Transshipment problems are solved only by the potential method."
+    );
+    return;
+  }
+
+  const objectiveSelect = document.getElementById(DOM_IDS.OBJECTIVE_SELECT);
+  if (objectiveSelect?.value === OBJECTIVE_IDS.MAXIMIZE) {
+    inputHandler.showMessage(
+      "Validation Error",
+      "Transshipment problems minimize the total cost only."
+    );
+    return;
+  }
+
+  const initialPlanSelect = document.getElementById(
+    DOM_IDS.INITIAL_PLAN_SELECT
+  );
+  const selectedInitialPlan =
+    initialPlanSelect?.value ?? DEFAULT_INITIAL_PLAN_ID;
+  if (selectedInitialPlan === COMPARE_ALL_INITIAL_PLANS.id) {
+    inputHandler.showMessage(
+      "Validation Error",
+      "Initial plans can be compared only for transportation problems."
+    );
+    return;
+  }
+
+  const solverOptions = readSolverOptions();
+  if (!solverOptions) return;
+
+  defaultNetwork = network;
+  const logger = new Logger(outputContainer);
+  try {
+    const exactMode = document.getElementById(DOM_IDS.EXACT_MODE);
+    await solveInBackground(
+      {
+        kind: SOLVE_KINDS.TRANSSHIPMENT,
+        problem: network,
+        options: {
+          initialPlan: selectedInitialPlan,
+          ...solverOptions,
+          exact: Boolean(exactMode?.checked),
+        },
+      },
+      logger
+    );
+  } catch (e) {
+    console.error(e);
+    logger.logError(
+      "Critical Algorithm Error",
+      `An unexpected error occurred during solving: ${e.message}`
+    );
+  }
+}
+
+async function handleCompareMethods() {
+  const outputContainer = document.getElementById(DOM_IDS.OUTPUT_CONTAINER);
+  if (!outputContainer) return;
+
+  cancelSolve();
+
+  if (selectedProblemType() === PROBLEM_TYPE_IDS.TRANSSHIPMENT) {
+    inputHandler.showMessage(
+      "Validation Error",
+      "Methods can be compared only for transportation problems."
+    );
+    return;
+  }
+
+  const inputData = readTransportationInput();
+  if (!inputData) return;
+
+  const solverOptions = readSolverOptions();
+  if (!solverOptions) return;
+
+  const initialPlanSelect = document.getElementById(
+    DOM_IDS.INITIAL_PLAN_SELECT
+  );
+  const selectedInitialPlan = initialPlanSelect?.value;
+  const exactMode = document.getElementById(DOM_IDS.EXACT_MODE);
+  const selectedMethod =
+    document.getElementById(DOM_IDS.METHOD_SELECT)?.value ?? DEFAULT_METHOD_ID;
+
+  const logger = new Logger(outputContainer);
+  try {
+    const rows = await solveInBackground(
+      {
+        kind: SOLVE_KINDS.METHOD_COMPARISON,
+        problem: inputData,
+        options: {
+          ...solverOptions,
+          // A limit left at the default lets every method use its own one
+          maxIterations:
+            solverOptions.maxIterations ===
+            defaultIterationLimit(selectedMethod)
+              ? undefined
+              : solverOptions.maxIterations,
+          initialPlan:
+            !selectedInitialPlan ||
+            selectedInitialPlan === COMPARE_ALL_INITIAL_PLANS.id
+              ? DEFAULT_INITIAL_PLAN_ID
+              : selectedInitialPlan,
+          exact: Boolean(exactMode?.checked),
+        },
+      },
+      logger
+    );
+    if (rows) renderMethodComparison(inputData, rows, logger);
+  } catch (e) {
+    console.error(e);
+    logger.logError(
+      "Critical Algorithm Error",
+      `An unexpected error occurred during solving: ${e.message}`
+    );
+  }
+}
+
+/**
+ * Verifies the plan typed under the table against the current problem, the
+ * way the solver plans are verified
+ */
+function handleCheckPlan() {
+  const outputContainer = document.getElementById(DOM_IDS.OUTPUT_CONTAINER);
+  if (!outputContainer) return;
+
+  const inputData = readTransportationInput();
+  if (!inputData) return;
+
+  const dummyCost = readDummyCost();
+  if (dummyCost === null) {
+    inputHandler.showMessage(
+      "Validation Error",
+      "Dummy cost must be a finite number."
+    );
+    return;
+  }
+
+  const planInput = document.getElementById(DOM_IDS.PLAN_INPUT);
+  let verification;
+  try {
+    const plan = parsePlanCSV(planInput?.value ?? "", inputData.demands.length);
+    verification = verifyPlan(inputData, plan, { dummyCost });
+  } catch (error) {
+    inputHandler.showMessage("Plan Error", error.message);
+    return;
+  }
+
+  cancelSolve();
+  logVerification(new Logger(outputContainer), verification);
+}
+
+function renderMethodComparison(inputData, rows, logger) {
+  const isProfit = inputData.objective === OBJECTIVE_IDS.MAXIMIZE;
+  const reference = rows.find((row) => row.costMatches !== null);
+  const formatMatch = (value) => (value === null ? "—" : value ? "Так" : "Ні");
+  const formatNotApplicable = ({ restriction }) =>
+    restriction === null
+      ? SOLUTION_STATUS_LABELS[SOLUTION_STATUS.FAILED]
+      : `Не застосовується: ${
+          METHOD_RESTRICTIONS.find(({ id }) => id === restriction).label
+        }`;
+
+  logger.logSummaryTable(
+    "Порівняння методів розв'язання",
+    reference
+      ? `Кожен метод розв'язує ту саму задачу. ${
+          isProfit ? "Прибуток" : "Вартість"
+        } і план порівнюються з розв'язком методу «${
+          reference.label
+        }». Виділено методи з тим самим оптимумом; різні плани з ${
+          isProfit ? "однаковим прибутком" : "однаковою вартістю"
+        } є альтернативними оптимальними планами. Для кожного методу показано ліміт ітерацій і арифметику, з якими він працював.`
+      : "Жоден метод не знайшов оптимального плану.",
+    [
+      "Метод",
+      "Статус",
+      isProfit ? "Прибуток" : "Вартість",
+      isProfit ? "Збіг прибутку" : "Збіг вартості",
+      "Збіг плану",
+      "Перевірка",
+      "Ітерацій",
+      "Ліміт ітерацій",
+      "Арифметика",
+      "Час, мс",
+    ],
+    rows.map((row) =>
+      row.status === null
+        ? [row.label, formatNotApplicable(row), ...Array(8).fill("—")]
+        : [
+            row.label,
+            SOLUTION_STATUS_LABELS[row.status],
+            row.totalCost !== null ? formatCompact(row.totalCost) : "—",
+            formatMatch(row.costMatches),
+            formatMatch(row.planMatches),
+            row.verified === null ? "—" : row.verified ? "✔" : "✘",
+            row.iterations,
+            row.maxIterations,
+            row.exact ? "Точна (дроби)" : "Наближена",
+            row.time.toFixed(1),
+          ]
+    ),
+    rows
+      .map((row, index) => (row.costMatches ? index : -1))
+      .filter((index) => index !== -1)
+  );
+
+  const failed = rows.filter(
+    (row) => row.status === null && row.restriction === null
+  );
+  if (failed.length > 0) {
+    logger.logError(
+      "Помилка розв'язання",
+      failed.map((row) => `«${row.label}»: ${row.message}`).join("\n")
+    );
+  }
+
+  const mismatched = rows.filter((row) => row.costMatches === false);
+  if (mismatched.length > 0) {
+    logger.logError(
+      "Розбіжність оптимальних значень",
+      `Методи дали різні оптимальні ${
+        isProfit ? "прибутки" : "вартості"
+      }: ${rows
+        .filter((row) => row.costMatches !== null)
+        .map((row) => `${row.label} — ${formatCompact(row.totalCost)}`)
+        .join(", ")}. Щонайменше один із розв'язків хибний.`
+    );
+  }
+
+  const unverified = rows.filter((row) => row.verified === false);
+  if (unverified.length > 0) {
+    logger.logError(
+      "Незалежна перевірка не пройдена",
+      `${unverified.length === 1 ? "План методу" : "Плани методів"} ${unverified
+        .map((row) => `«${row.label}»`)
+        .join(", ")} ${
+        unverified.length === 1 ? "не пройшов" : "не пройшли"
+      } незалежну перевірку.`
+    );
+  }
+}
+
+function renderInitialPlanComparison(inputData, rows, logger) {
+  // The best initial plan is the cheapest one, or the most profitable one
+  const isProfit = inputData.objective === OBJECTIVE_IDS.MAXIMIZE;
+  const direction = isProfit ? -1 : 1;
+  // Infeasible problems have no initial plans to compare
+  const bestInitialCost = rows
+    .map((row) => row.initialCost)
+    .filter((cost) => cost !== null)
+    .reduce(
+      (best, cost) =>
+        best === null || compare(cost, best) * direction < 0 ? cost : best,
+      null
+    );
+  const formatCost = (cost) => (cost !== null ? formatCompact(cost) : "-");
+
+  logger.logSummaryTable(
+    "Порівняння методів побудови опорного плану",
+    `Кожен опорний план оптимізовано методом потенціалів. Виділено плани з ${
+      isProfit
+        ? "найбільшим початковим прибутком"
+        : "найменшою початковою вартістю"
+    }.`,
+    [
+      "Метод",
+      isProfit ? "Прибуток опорного плану" : "Вартість опорного плану",
+      "Базисних клітинок",
+      "Виродженість",
+      "Ітерацій MODI",
+      isProfit ? "Оптимальний прибуток" : "Оптимальна вартість",
+    ],
+    rows.map((row) => [
+      row.label,
+      formatCost(row.initialCost),
+      row.basicCells !== null
+        ? `${row.basicCells} / ${row.requiredCells}`
+        : "-",
+      row.isDegenerate === null
+        ? "-"
+        : row.isDegenerate
+        ? "Вироджений"
+        : "Невироджений",
+      row.iterations,
+      row.status === SOLUTION_STATUS.OPTIMAL
+        ? formatCost(row.finalCost)
+        : SOLUTION_STATUS_LABELS[row.status],
+    ]),
+    rows
+      .map((row, index) =>
+        row.initialCost !== null &&
+        compare(row.initialCost, bestInitialCost) === 0
+          ? index
+          : -1
+      )
+      .filter((index) => index !== -1)
+  );
+}
+
 // Initialize when DOM is loaded
 if (document.readyState === "loading") {
   document.addEventListener("DOMContentLoaded", init);
@@ -0,0 +1,127 @@
+// Fraction model for exact rational arithmetic
+
+function gcd(a, b) {
+  let x = a < 0n ? -a : a;
+  let y = b < 0n ? -b : b;
+  while (y !== 0n) {
+    [x, y] = [y, x % y];
+  }
+  return x;
+}
+
+export class Fraction {
+  /**
+   * Creates a reduced fraction with a positive denominator (BigInt parts)
+   */
+  constructor(numerator, denominator = 1n) {
+    if (denominator === 0n) {
+      throw new RangeError("Fraction denominator cannot be zero");
+    }
+    const sign = denominator < 0n ? -1n : 1n;
+    const divisor = gcd(numerator, denominator) || 1n;
+    this.numerator = (sign * numerator) / divisor;
+    this.denominator = (sign * denominator) / divisor;
+    Object.freeze(this);
+  }
+
+  /**
+   * Converts a number, a decimal/fraction string ("0.1", "-3/4", "1e-3")
+   * or a Fraction into a Fraction. Numbers are read by their shortest
+   * decimal representation, so 0.1 becomes exactly 1/10.
+   */
+  static from(value) {
+    if (value instanceof Fraction) return value;
+    if (typeof value === "bigint") return new Fraction(value);
+    if (typeof value === "number") {
+      if (!Number.isFinite(value)) {
+        throw new RangeError(`Cannot represent ${value} as a fraction`);
+      }
+      return Fraction.parse(String(value));
+    }
+    return Fraction.parse(String(value));
+  }
+
+  static parse(text) {
+    const trimmed = text.trim();
+    const ratio = trimmed.match(/^([+-]?\d+)\s*\/\s*([+-]?\d+)$/);
+    if (ratio) {
+      return new Fraction(BigInt(ratio[1]), BigInt(ratio[2]));
+    }
+
+    const decimal = trimmed.match(
+      /^([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i
+    );
+    if (!decimal || (decimal[2] === "" && !decimal[3])) {
+      throw new Error(`"${text}" is not a valid number`);
+    }
+    const [, sign, whole, fractional = "", exponentText = "0"] = decimal;
+    const exponent = Number(exponentText) - fractional.length;
+    let numerator = BigInt(`${whole}${fractional}` || "0");
+    let denominator = 1n;
+    if (exponent >= 0) {
+      numerator *= 10n ** BigInt(exponent);
+    } else {
+      denominator = 10n ** BigInt(-exponent);
+    }
+    return new Fraction(sign === "-" ? -numerator : numerator, denominator);
+  }
+
+  add(other) {
+    const b = Fraction.from(other);
+    return new Fraction(
+      this.numerator * b.denominator + b.numerator * this.denominator,
+      this.denominator * b.denominator
+    );
+  }
+
+  sub(other) {
+    return this.add(Fraction.from(other).neg());
+  }
+
+  mul(other) {
+    const b = Fraction.from(other);
+    return new Fraction(
+      this.numerator * b.numerator,
+      this.denominator * b.denominator
+    );
+  }
+
+  div(other) {
+    const b = Fraction.from(other);
+    return new Fraction(
+      this.numerator * b.denominator,
+      this.denominator * b.numerator
+    );
+  }
+
+  neg() {
+    return new Fraction(-this.numerator, this.denominator);
+  }
+
+  sign() {
+    if (this.numerator === 0n) return 0;
+    return this.numerator > 0n ? 1 : -1;
+  }
+
+  isZero() {
+    return this.numerator === 0n;
+  }
+
+  compare(other) {
+    return this.sub(other).sign();
+  }
+
+  toNumber() {
+    return Number(this.numerator) / Number(this.denominator);
+  }
+
+  toString() {
+    return this.denominator === 1n
+      ? this.numerator.toString()
+      : `${this.numerator}/${this.denominator}`;
+  }
+
+  toJSON() {
+    return this.toString();
+  }
+}
@@ -1,6 +1,25 @@
 // Module for handling UI input and matrix generation
 
 import { EPSILON, DOM_IDS } from "../constants.js";
+import { FORBIDDEN_MARK, isForbiddenMark } from "../core/forbiddenRoutes.js";
+
+// Optional per-route fields shown under every cost cell on demand;
+// an empty field means the route has no such bound
+const ROUTE_FIELDS = {
+  lowerBounds: {
+    className: "lower-bound-cell",
+    placeholder: "0",
+    title: "Minimum shipment (empty = none)",
+    error: "Minimum shipment must be a non-negative number or empty for none.",
+  },
+  capacities: {
+    className: "capacity-cell",
+    placeholder: "∞",
+    title: "Route capacity (empty = unlimited)",
+    error:
+      "Capacity must be a non-negative number or empty for an unlimited route.",
+  },
+};
 
 export class InputHandler {
   constructor() {
@@ -13,12 +32,15 @@ export class InputHandler {
     this.matrixContainer = container;
     this.numSuppliers = 4;
     this.numConsumers = 4;
+    // Keys of ROUTE_FIELDS currently shown
+    this.visibleRouteFields = new Set();
   }
 
   /**
-   * Generates the matrix UI with input fields
+   * Generates the matrix UI with input fields; every cost cell also gets the
+   * ROUTE_FIELDS inputs, filled from routeBounds ({ capacities, lowerBounds })
    */
-  generateMatrixUI(costs, supplies, demands) {
+  generateMatrixUI(costs, supplies, demands, routeBounds = {}) {
     this.numSuppliers = costs.length;
     this.numConsumers = costs[0].length;
 
@@ -43,7 +65,11 @@ export class InputHandler {
         ${Array.from(
           { length: this.numConsumers },
           (_, j) => `
-          <td><input type="number" step="0.1" value="${costs[i][j]}" class="input-cell cost-cell w-full"></td>
+          <td><input type="text" inputmode="decimal" value="${
+            costs[i][j] ?? FORBIDDEN_MARK
+          }" title="Enter ${FORBIDDEN_MARK} to forbid this route" class="input-cell cost-cell w-full${
+            costs[i][j] === null ? " forbidden-cell" : ""
+          }">${this.routeFieldInputs(routeBounds, i, j)}</td>
         `
         ).join("")}
         <td class="bg-red-50">
@@ -80,6 +106,40 @@ export class InputHandler {
     document.querySelectorAll(".input-cell").forEach((input) => {
       input.addEventListener("input", () => this.updateBalanceDisplay());
     });
+
+    // Forbidden routes are highlighted as soon as X is typed
+    document.querySelectorAll(".cost-cell").forEach((input) => {
+      input.addEventListener("input", () =>
+        input.classList.toggle("forbidden-cell", isForbiddenMark(input.value))
+      );
+    });
+  }
+
+  routeFieldInputs(routeBounds, i, j) {
+    return Object.entries(ROUTE_FIELDS)
+      .map(
+        ([field, { className, placeholder, title }]) =>
+          `<input type="text" inputmode="decimal" value="${
+            routeBounds[field]?.[i][j] ?? ""
+          }" placeholder="${placeholder}" title="${title}" class="input-cell ${className} w-full mt-1${
+            this.visibleRouteFields.has(field) ? "" : " hidden"
+          }">`
+      )
+      .join("");
+  }
+
+  /**
+   * Shows or hides one of the ROUTE_FIELDS in every cell
+   */
+  setRouteFieldVisible(field, visible) {
+    if (visible) {
+      this.visibleRouteFields.add(field);
+    } else {
+      this.visibleRouteFields.delete(field);
+    }
+    this.matrixContainer
+      .querySelectorAll(`.${ROUTE_FIELDS[field].className}`)
+      .forEach((input) => input.classList.toggle("hidden", !visible));
   }
 
   /**
@@ -128,20 +188,46 @@ export class InputHandler {
     const costs = [];
     const supplies = [];
     const demands = [];
+    const routeBounds = Object.fromEntries(
+      Object.keys(ROUTE_FIELDS).map((field) => [field, []])
+    );
 
     try {
       rows.forEach((row) => {
         const cells = row.querySelectorAll(".cost-cell");
         const costRow = [];
         cells.forEach((cell) => {
+          if (isForbiddenMark(cell.value)) {
+            costRow.push(null);
+            return;
+          }
+          // The sign is checked by Validator: profits may be negative
           const value = parseFloat(cell.value);
-          if (isNaN(value) || value < 0) {
-            throw new Error("Cost must be a non-negative number.");
+          if (isNaN(value)) {
+            throw new Error(
+              `Cost must be a number or ${FORBIDDEN_MARK} for a forbidden route.`
+            );
           }
           costRow.push(value);
         });
         costs.push(costRow);
 
+        Object.entries(ROUTE_FIELDS).forEach(
+          ([field, { className, error }]) => {
+            const boundRow = [];
+            row.querySelectorAll(`.${className}`).forEach((cell) => {
+              if (cell.value.trim() === "") {
+                boundRow.push(null);
+                return;
+              }
+              const value = parseFloat(cell.value);
+              if (isNaN(value) || value < 0) throw new Error(error);
+              boundRow.push(value);
+            });
+            routeBounds[field].push(boundRow);
+          }
+        );
+
         const supplyCell = row.querySelector(".supply-cell");
         const supplyValue = parseFloat(supplyCell.value);
         if (isNaN(supplyValue) || supplyValue < 0) {
@@ -162,7 +248,15 @@ export class InputHandler {
         demands.push(value);
       });
 
-      return { costs, supplies, demands };
+      // Hidden fields are kept in the grid but not used
+      const data = { costs, supplies, demands };
+      this.visibleRouteFields.forEach((field) => {
+        const matrix = routeBounds[field];
+        if (matrix.some((row) => row.some((value) => value !== null))) {
+          data[field] = matrix;
+        }
+      });
+      return data;
     } catch (e) {
       const error = e;
       this.showMessage("Invalid Input Data", error.message);
@@ -191,23 +285,35 @@ export class InputHandler {
   /**
    * Adds a supplier row
    */
-  addSupplier(defaultCosts, defaultSupplies, defaultDemands) {
+  addSupplier(defaultCosts, defaultSupplies, defaultDemands, routeBounds = {}) {
     this.numSuppliers++;
     const newCosts = defaultCosts.map((row) => [...row]);
     newCosts.push(Array(this.numConsumers).fill(1));
     const newSupplies = [...defaultSupplies, 10];
-    this.generateMatrixUI(newCosts, newSupplies, defaultDemands);
+    const newBounds = Object.fromEntries(
+      Object.entries(routeBounds).map(([field, matrix]) => [
+        field,
+        [...matrix, Array(this.numConsumers).fill(null)],
+      ])
+    );
+    this.generateMatrixUI(newCosts, newSupplies, defaultDemands, newBounds);
     this.updateBalanceDisplay();
   }
 
   /**
    * Adds a consumer column
    */
-  addConsumer(defaultCosts, defaultSupplies, defaultDemands) {
+  addConsumer(defaultCosts, defaultSupplies, defaultDemands, routeBounds = {}) {
     this.numConsumers++;
     const newCosts = defaultCosts.map((row) => [...row, 1]);
     const newDemands = [...defaultDemands, 10];
-    this.generateMatrixUI(newCosts, defaultSupplies, newDemands);
+    const newBounds = Object.fromEntries(
+      Object.entries(routeBounds).map(([field, matrix]) => [
+        field,
+        matrix.map((row) => [...row, null]),
+      ])
+    );
+    this.generateMatrixUI(newCosts, defaultSupplies, newDemands, newBounds);
     this.updateBalanceDisplay();
   }
 }
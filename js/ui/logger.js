@@ -1,18 +1,141 @@
 // Module for logging solution steps
 
 import { Cell } from "../models/cell.js";
-import { EPSILON } from "../constants.js";
+import { compare, isPositive, sum } from "../utils/arithmetic.js";
+import { formatCompact, formatNumber } from "../utils/numberFormat.js";
+
+/**
+ * HTML of a plain text from a trace entry: markup characters are escaped and
+ * line breaks kept
+ */
+function toHtml(text) {
+  return String(text ?? "")
+    .trim()
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/\n/g, "<br>");
+}
 
+/**
+ * Renders the plain-data trace entries (see TraceRecorder) as HTML; the
+ * markup and styling of the page live here only
+ */
 export class Logger {
   constructor(outputContainer) {
     this.container = outputContainer;
     this.container.innerHTML = "";
   }
 
+  /**
+   * Renders a solver trace (see TraceRecorder) into the output container
+   */
+  render(trace) {
+    trace.forEach((entry) => this.renderEntry(entry));
+  }
+
+  // Progress reports are shown by the page, not in the solution log
+  logProgress() {}
+
+  renderEntry(entry) {
+    switch (entry.type) {
+      case "header":
+        this.logHeader(entry.title, entry.subtitle);
+        break;
+      case "step":
+        this.logStep(entry.title, entry.details);
+        break;
+      case "balance":
+        this.logBalance(entry.totalSupply, entry.totalDemand);
+        break;
+      case "list":
+        this.logList(entry.title, entry.details, entry.items);
+        break;
+      case "success":
+        this.logSuccess(entry.details);
+        break;
+      case "error":
+        this.logError(entry.title, entry.details);
+        break;
+      case "table":
+        this.logTable(
+          entry.title,
+          entry.details,
+          entry.plan,
+          entry.costs,
+          entry.supplies,
+          entry.demands,
+          entry.currentSupplies,
+          entry.currentDemands,
+          entry.highlightCell,
+          entry.penalties
+        );
+        break;
+      case "summaryTable":
+        this.logSummaryTable(
+          entry.title,
+          entry.details,
+          entry.headers,
+          entry.rows,
+          entry.highlightRows
+        );
+        break;
+      case "potentials":
+        this.logPotentials(
+          entry.plan,
+          entry.costs,
+          entry.supplies,
+          entry.demands,
+          entry.u,
+          entry.v
+        );
+        break;
+      case "deltas":
+        this.logDeltas(
+          entry.plan,
+          entry.costs,
+          entry.supplies,
+          entry.demands,
+          entry.deltas
+        );
+        break;
+      case "cycle":
+        this.logCycle(
+          entry.cycle,
+          entry.plan,
+          entry.costs,
+          entry.supplies,
+          entry.demands
+        );
+        break;
+      case "plan":
+        this.logFinalPlan(
+          entry.title,
+          entry.plan,
+          entry.costs,
+          entry.supplies,
+          entry.demands,
+          entry.totalCost,
+          entry.isSupplyDummy,
+          entry.isDemandDummy,
+          entry.isProfit
+        );
+        break;
+      default:
+        console.warn(`Unknown trace entry type: ${entry.type}`);
+    }
+  }
+
+  /**
+   * Appends a card with a plain-text title and already built HTML content
+   */
   addSection(title, content) {
     const div = document.createElement("div");
     div.className = "card p-4 md:p-6 mb-8";
-    div.innerHTML = `<h3 class="text-xl font-bold mb-4 text-gray-800 border-b pb-2">${title}</h3>${content}`;
+    div.innerHTML = `<h3 class="text-xl font-bold mb-4 text-gray-800 border-b pb-2">${toHtml(
+      title
+    )}</h3>${content}`;
     this.container.appendChild(div);
 
     // Re-render MathJax
@@ -24,24 +147,64 @@ export class Logger {
   }
 
   logHeader(title, subtitle = "") {
-    this.addSection(title, `<p class="text-gray-600 mb-4">${subtitle}</p>`);
+    this.addSection(
+      title,
+      `<p class="text-gray-600 mb-4">${toHtml(subtitle)}</p>`
+    );
   }
 
   logStep(title, details) {
-    this.addSection(title, `<p class="text-gray-600">${details}</p>`);
+    this.addSection(title, `<p class="text-gray-600">${toHtml(details)}</p>`);
+  }
+
+  /**
+   * Whether the total supply equals the total demand, with the verdict
+   * highlighted
+   */
+  logBalance(totalSupply, totalDemand) {
+    const balance = compare(totalSupply, totalDemand);
+    const details =
+      balance === 0
+        ? `Problem is <span class="text-green-600 font-bold">closed (balanced)</span>. Sum of supplies (${toHtml(
+            totalSupply
+          )}) equals sum of demands (${toHtml(totalDemand)}).`
+        : `Problem is <span class="text-yellow-800 font-bold">open (unbalanced)</span>. Supply (${toHtml(
+            totalSupply
+          )}) ${balance < 0 ? "&lt;" : "&gt;"} Demand (${toHtml(
+            totalDemand
+          )}).`;
+    this.addSection(
+      "Balance Check",
+      `<p class="text-gray-600 mb-4">${details}</p>`
+    );
+  }
+
+  /**
+   * Bulleted list of plain-text items under optional details
+   */
+  logList(title, details, items) {
+    const intro = details
+      ? `<p class="text-gray-600 mb-2">${toHtml(details)}</p>`
+      : "";
+    this.addSection(
+      title,
+      `${intro}<ul class="list-disc pl-6 text-gray-600">${items
+        .map((item) => `<li>${toHtml(item)}</li>`)
+        .join("")}</ul>`
+    );
   }
 
   logSuccess(details) {
     this.addSection(
       "Success! Optimal plan found",
-      `<p class="text-green-700 font-semibold">${details}</p>`
+      `<p class="text-green-700 font-semibold">${toHtml(details)}</p>`
     );
   }
 
   logError(title, details) {
     this.addSection(
       title,
-      `<p class="text-red-600 font-semibold">${details}</p>`
+      `<p class="text-red-600 font-semibold">${toHtml(details)}</p>`
     );
   }
 
@@ -54,16 +217,21 @@ export class Logger {
     demands,
     currentSupplies,
     currentDemands,
-    highlightCell = null
+    highlightCell = null,
+    penalties = null
   ) {
     const m = plan.length;
     const n = plan[0].length;
-    let html = `<p class="text-gray-600 mb-4">${details}</p>`;
+    const formatPenalty = (penalty) =>
+      penalty !== null ? formatCompact(penalty) : "-";
+    let html = `<p class="text-gray-600 mb-4">${toHtml(details)}</p>`;
     html += `<div class="step-table overflow-x-auto"><table class="w-full text-sm">
       <thead class="bg-gray-100"><tr><th></th>${Array.from(
         { length: n },
         (_, j) => `<th>C ${j + 1}</th>`
-      ).join("")}<th>Supply (aᵢ)</th></tr></thead>
+      ).join("")}<th>Supply (aᵢ)</th>${
+      penalties ? `<th>${toHtml(penalties.rowLabel)}</th>` : ""
+    }</tr></thead>
       <tbody>`;
 
     for (let i = 0; i < m; i++) {
@@ -81,15 +249,22 @@ export class Logger {
           return `<td class="relative p-3 ${highlight ? "bg-red-200" : ""}">
             <div class="cost">${cost}</div>
             <div class="allocation">${
-              allocation !== null ? parseFloat(allocation.toFixed(2)) : "-"
+              allocation !== null ? formatCompact(allocation) : "-"
             }</div>
           </td>`;
         }).join("")}
         <td class="font-bold text-red-700 bg-red-50">${
-          currentSupplies[i] > EPSILON
-            ? `(${currentSupplies[i].toFixed(0)})`
-            : supplies[i].toFixed(0)
+          isPositive(currentSupplies[i])
+            ? `(${formatNumber(currentSupplies[i], 0)})`
+            : formatNumber(supplies[i], 0)
         }</td>
+        ${
+          penalties
+            ? `<td class="text-purple-700">${formatPenalty(
+                penalties.rows[i]
+              )}</td>`
+            : ""
+        }
       </tr>`;
     }
 
@@ -98,12 +273,25 @@ export class Logger {
         { length: n },
         (_, j) =>
           `<td class="font-bold text-green-700">${
-            currentDemands[j] > EPSILON
-              ? `(${currentDemands[j].toFixed(0)})`
-              : demands[j].toFixed(0)
+            isPositive(currentDemands[j])
+              ? `(${formatNumber(currentDemands[j], 0)})`
+              : formatNumber(demands[j], 0)
           }</td>`
       ).join("")}
-      <td></td></tr>`;
+      <td></td>${penalties ? "<td></td>" : ""}</tr>`;
+
+    if (penalties) {
+      html += `<tr><td class="font-bold text-purple-700">${toHtml(
+        penalties.colLabel
+      )}</td>
+        ${penalties.cols
+          .map(
+            (penalty) =>
+              `<td class="text-purple-700">${formatPenalty(penalty)}</td>`
+          )
+          .join("")}
+        <td></td><td></td></tr>`;
+    }
 
     html += `</tbody></table></div>`;
     this.addSection(title, html);
@@ -120,7 +308,7 @@ export class Logger {
           { length: n },
           (_, j) =>
             `<th class="border p-2">v${j + 1}=${
-              v[j] !== null ? v[j].toFixed(1) : " "
+              v[j] !== null ? formatNumber(v[j], 1) : " "
             }</th>`
         ).join("")}
       </tr></thead><tbody>`;
@@ -128,11 +316,11 @@ export class Logger {
     for (let i = 0; i < m; i++) {
       html += `<tr>
         <td class="border p-2 font-bold">u${i + 1}=${
-        u[i] !== null ? u[i].toFixed(1) : ""
+        u[i] !== null ? formatNumber(u[i], 1) : ""
       }</td>
         ${Array.from({ length: n }, (_, j) => {
           const allocation = plan[i][j];
-          const value = allocation !== null ? allocation.toFixed(1) : "-";
+          const value = allocation !== null ? formatNumber(allocation, 1) : "-";
           return `<td class="border p-2">${value}</td>`;
         }).join("")}
       </tr>`;
@@ -168,14 +356,14 @@ export class Logger {
 
           let value = "-";
           if (!isFilled && delta !== null) {
-            value = delta.toFixed(2);
+            value = formatNumber(delta, 2);
           } else if (isFilled) {
-            value = `(${allocation.toFixed(1)})`;
+            value = `(${formatNumber(allocation, 1)})`;
           }
 
           return `<td class="border p-2">${value}</td>`;
         }).join("")}
-        <td class="border p-2">${supplies[i].toFixed(0)}</td>
+        <td class="border p-2">${formatNumber(supplies[i], 0)}</td>
       </tr>`;
     }
 
@@ -185,11 +373,9 @@ export class Logger {
       ${Array.from(
         { length: n },
         (_, j) =>
-          `<td class="border p-2 font-bold">${demands[j].toFixed(0)}</td>`
+          `<td class="border p-2 font-bold">${formatNumber(demands[j], 0)}</td>`
       ).join("")}
-      <td class="border p-2 font-bold">${demands
-        .reduce((a, b) => a + b, 0)
-        .toFixed(0)}</td>
+      <td class="border p-2 font-bold">${formatNumber(sum(demands), 0)}</td>
     </tr>`;
 
     html += `</tbody></table></div>`;
@@ -219,7 +405,7 @@ export class Logger {
           const allocation = plan[i][j];
           const cycleIndex = cycle.findIndex((c) => c.row === i && c.col === j);
 
-          let value = allocation !== null ? allocation.toFixed(1) : "-";
+          let value = allocation !== null ? formatNumber(allocation, 1) : "-";
           if (cycleIndex !== -1) {
             const sign = cycleIndex % 2 === 0 ? "(+)" : "(-)";
             value += sign;
@@ -227,7 +413,7 @@ export class Logger {
 
           return `<td class="border p-2">${value}</td>`;
         }).join("")}
-        <td class="border p-2">${supplies[i].toFixed(0)}</td>
+        <td class="border p-2">${formatNumber(supplies[i], 0)}</td>
       </tr>`;
     }
 
@@ -237,11 +423,9 @@ export class Logger {
       ${Array.from(
         { length: n },
         (_, j) =>
-          `<td class="border p-2 font-bold">${demands[j].toFixed(0)}</td>`
+          `<td class="border p-2 font-bold">${formatNumber(demands[j], 0)}</td>`
       ).join("")}
-      <td class="border p-2 font-bold">${demands
-        .reduce((a, b) => a + b, 0)
-        .toFixed(0)}</td>
+      <td class="border p-2 font-bold">${formatNumber(sum(demands), 0)}</td>
     </tr>`;
 
     html += `</tbody></table></div>`;
@@ -249,6 +433,35 @@ export class Logger {
     this.addSection("Building reallocation cycle:", html);
   }
 
+  /**
+   * Logs a plain table of already formatted values;
+   * highlightRows marks rows that deserve attention
+   */
+  logSummaryTable(title, details, headers, rows, highlightRows = []) {
+    let html = details
+      ? `<p class="text-gray-600 mb-4">${toHtml(details)}</p>`
+      : "";
+    html += `<div class="step-table overflow-x-auto"><table class="w-full text-sm border-collapse">
+      <thead><tr class="bg-gray-100">
+        ${headers
+          .map((header) => `<th class="border p-2">${toHtml(header)}</th>`)
+          .join("")}
+      </tr></thead><tbody>`;
+
+    rows.forEach((row, index) => {
+      html += `<tr class="${
+        highlightRows.includes(index) ? "bg-green-50 font-semibold" : ""
+      }">
+        ${row
+          .map((cell) => `<td class="border p-2">${toHtml(cell)}</td>`)
+          .join("")}
+      </tr>`;
+    });
+
+    html += `</tbody></table></div>`;
+    this.addSection(title, html);
+  }
+
   logFinalPlan(
     title,
     plan,
@@ -257,18 +470,26 @@ export class Logger {
     demands,
     totalCost,
     isSupplyDummy = false,
-    isDemandDummy = false
+    isDemandDummy = false,
+    isProfit = false
   ) {
     const m = plan.length;
     const n = plan[0].length;
+    // The fictitious row/column added by balancing is always the last one
+    const isDummyRow = (i) => isSupplyDummy && i === m - 1;
+    const isDummyCol = (j) => isDemandDummy && j === n - 1;
+    const dummyClass = "bg-gray-50 text-gray-400 italic";
 
     // Build header
     let html = `<div class="step-table overflow-x-auto"><table class="w-full text-sm border-collapse">
       <thead><tr class="bg-gray-100">
         <th class="border p-2"></th>
-        ${Array.from(
-          { length: n },
-          (_, j) => `<th class="border p-2">Consumer ${j + 1}</th>`
+        ${Array.from({ length: n }, (_, j) =>
+          isDummyCol(j)
+            ? `<th class="border p-2 ${dummyClass}">Consumer ${
+                j + 1
+              } (dummy)</th>`
+            : `<th class="border p-2">Consumer ${j + 1}</th>`
         ).join("")}
         <th class="border p-2">Supply</th>
       </tr></thead>
@@ -276,14 +497,18 @@ export class Logger {
 
     // Build data rows (C# format: Supplier X | value | value | ... | Supply)
     for (let i = 0; i < m; i++) {
-      html += `<tr>
-        <td class="border p-2 font-bold">Supplier ${i + 1}</td>
+      const label = isDummyRow(i)
+        ? `Supplier ${i + 1} (dummy)`
+        : `Supplier ${i + 1}`;
+      html += `<tr class="${isDummyRow(i) ? dummyClass : ""}">
+        <td class="border p-2 font-bold">${label}</td>
         ${Array.from({ length: n }, (_, j) => {
           const allocation = plan[i][j];
-          const value = allocation !== null ? allocation.toFixed(1) : "-";
-          return `<td class="border p-2">${value}</td>`;
+          const value = allocation !== null ? formatNumber(allocation, 1) : "-";
+          const cellClass = isDummyCol(j) ? ` ${dummyClass}` : "";
+          return `<td class="border p-2${cellClass}">${value}</td>`;
         }).join("")}
-        <td class="border p-2">${supplies[i].toFixed(0)}</td>
+        <td class="border p-2">${formatNumber(supplies[i], 0)}</td>
       </tr>`;
     }
 
@@ -293,17 +518,22 @@ export class Logger {
       ${Array.from(
         { length: n },
         (_, j) =>
-          `<td class="border p-2 font-bold">${demands[j].toFixed(0)}</td>`
+          `<td class="border p-2 font-bold">${formatNumber(demands[j], 0)}</td>`
       ).join("")}
-      <td class="border p-2 font-bold">${demands
-        .reduce((a, b) => a + b, 0)
-        .toFixed(0)}</td>
+      <td class="border p-2 font-bold">${formatNumber(sum(demands), 0)}</td>
     </tr>`;
 
     html += `</tbody></table></div>`;
-    html += `<p class="mt-4 font-bold">Total Cost for this Plan (Z) = ${totalCost.toFixed(
-      2
-    )}</p>`;
+    if (isSupplyDummy || isDemandDummy) {
+      html += `<p class="mt-2 text-sm text-gray-500 italic">${
+        isSupplyDummy
+          ? `Shipments from the dummy Supplier ${m} are demand that stays unmet.`
+          : `Shipments to the dummy Consumer ${n} are supply that stays unshipped.`
+      }</p>`;
+    }
+    html += `<p class="mt-4 font-bold">Total ${
+      isProfit ? "Profit" : "Cost"
+    } for this Plan (Z) = ${formatNumber(totalCost, 2)}</p>`;
 
     this.addSection(title, html);
   }
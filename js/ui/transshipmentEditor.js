@@ -0,0 +1,190 @@
+// Module for the transshipment network editor: node list and node-to-node
+// cost matrix
+
+import { DOM_IDS } from "../constants.js";
+import { FORBIDDEN_MARK, isForbiddenMark } from "../core/forbiddenRoutes.js";
+import { NODE_TYPE_IDS, NODE_TYPES } from "../core/methodDefinitions.js";
+
+export class TransshipmentEditor {
+  constructor() {
+    const container = document.getElementById(DOM_IDS.TRANSSHIPMENT_CONTAINER);
+    if (!container) {
+      throw new Error(
+        `Element with id '${DOM_IDS.TRANSSHIPMENT_CONTAINER}' not found`
+      );
+    }
+    this.container = container;
+  }
+
+  /**
+   * Renders one row per node: name, type, amount (supply, demand or buffer)
+   * and the costs of the routes leaving the node
+   */
+  generateNetworkUI({ nodes, costs }) {
+    const k = nodes.length;
+    let html = `
+      <table class="input-table w-full text-sm">
+        <thead>
+          <tr class="bg-gray-100">
+            <th class="w-32">Node</th>
+            <th class="w-36">Type</th>
+            <th class="w-24 bg-red-100 text-red-700" title="Supply of a source, demand of a sink, buffer of a transshipment point">Amount</th>
+            ${Array.from(
+              { length: k },
+              (_, j) => `<th class="w-20">→ ${j + 1}</th>`
+            ).join("")}
+          </tr>
+        </thead>
+        <tbody>
+    `;
+
+    nodes.forEach((node, i) => {
+      html += `<tr class="node-row">
+        <th class="bg-blue-50 text-blue-700">
+          <span class="mr-1">${i + 1}.</span><input type="text" value="${
+            node.name ?? ""
+          }" placeholder="Node ${i + 1}" class="input-cell node-name w-full">
+        </th>
+        <td>
+          <select class="node-type w-full border border-gray-300 rounded-lg px-1 py-1 bg-white">
+            ${NODE_TYPES.map(
+              ({ id, label }) =>
+                `<option value="${id}"${
+                  id === node.type ? " selected" : ""
+                }>${label}</option>`
+            ).join("")}
+          </select>
+        </td>
+        <td class="bg-red-50">
+          <input type="text" inputmode="decimal" value="${
+            (node.type === NODE_TYPE_IDS.TRANSSHIPMENT
+              ? node.buffer
+              : node.amount) ?? ""
+          }" class="input-cell node-amount w-full">
+        </td>
+        ${costs[i]
+          .map((cost, j) =>
+            i === j
+              ? `<td class="bg-gray-100 text-gray-400">—</td>`
+              : `<td><input type="text" inputmode="decimal" value="${
+                  cost ?? FORBIDDEN_MARK
+                }" title="Cost from node ${i + 1} to node ${
+                  j + 1
+                } (${FORBIDDEN_MARK} = no route)" class="input-cell route-cost-cell w-full${
+                  cost === null ? " forbidden-cell" : ""
+                }" data-from="${i}" data-to="${j}"></td>`
+          )
+          .join("")}
+      </tr>`;
+    });
+
+    html += `
+        </tbody>
+      </table>
+    `;
+    this.container.innerHTML = html;
+
+    this.container.querySelectorAll(".route-cost-cell").forEach((input) => {
+      input.addEventListener("input", () =>
+        input.classList.toggle("forbidden-cell", isForbiddenMark(input.value))
+      );
+    });
+    this.container.querySelectorAll(".node-type").forEach((select) => {
+      select.addEventListener("change", () => this.updateNodeTypes());
+    });
+    this.updateNodeTypes();
+  }
+
+  /**
+   * Disables the routes a node type cannot use (nothing leaves a sink,
+   * nothing enters a source) and explains the amount field of every node
+   */
+  updateNodeTypes() {
+    const types = Array.from(
+      this.container.querySelectorAll(".node-type"),
+      (select) => select.value
+    );
+    this.container.querySelectorAll(".route-cost-cell").forEach((input) => {
+      input.disabled =
+        types[input.dataset.from] === NODE_TYPE_IDS.SINK ||
+        types[input.dataset.to] === NODE_TYPE_IDS.SOURCE;
+    });
+    this.container.querySelectorAll(".node-amount").forEach((input, i) => {
+      const isBuffer = types[i] === NODE_TYPE_IDS.TRANSSHIPMENT;
+      input.placeholder = isBuffer ? "Σ supply" : "0";
+      input.title = {
+        [NODE_TYPE_IDS.SOURCE]: "Supply",
+        [NODE_TYPE_IDS.SINK]: "Demand",
+        [NODE_TYPE_IDS.TRANSSHIPMENT]:
+          "Buffer: the most this point can forward (empty = total supply)",
+      }[types[i]];
+    });
+  }
+
+  /**
+   * Reads the network { nodes, costs } from the editor; routes that cannot
+   * be used and routes marked X become null. Throws on invalid input.
+   */
+  parseNetwork() {
+    const rows = this.container.querySelectorAll(".node-row");
+    const nodes = [];
+    const costs = [];
+
+    rows.forEach((row) => {
+      const name = row.querySelector(".node-name").value.trim();
+      const type = row.querySelector(".node-type").value;
+      const amountText = row.querySelector(".node-amount").value.trim();
+      const amount = parseFloat(amountText);
+      const node = { name, type };
+
+      if (type === NODE_TYPE_IDS.TRANSSHIPMENT) {
+        if (amountText !== "") {
+          if (isNaN(amount) || amount < 0) {
+            throw new Error(
+              "Buffer must be a non-negative number or empty for the total supply."
+            );
+          }
+          node.buffer = amount;
+        }
+      } else {
+        if (isNaN(amount) || amount < 0) {
+          throw new Error("Supply and demand must be non-negative numbers.");
+        }
+        node.amount = amount;
+      }
+      nodes.push(node);
+
+      const costRow = Array(rows.length).fill(null);
+      row.querySelectorAll(".route-cost-cell").forEach((cell) => {
+        if (cell.disabled || isForbiddenMark(cell.value)) return;
+        const value = parseFloat(cell.value);
+        if (isNaN(value)) {
+          throw new Error(
+            `Cost must be a number or ${FORBIDDEN_MARK} for a missing route.`
+          );
+        }
+        costRow[cell.dataset.to] = value;
+      });
+      costs.push(costRow);
+    });
+
+    return { nodes, costs };
+  }
+
+  /**
+   * Adds a sink with no routes yet
+   */
+  addNode(network) {
+    const k = network.nodes.length;
+    this.generateNetworkUI({
+      nodes: [
+        ...network.nodes,
+        { name: `Node ${k + 1}`, type: NODE_TYPE_IDS.SINK, amount: 10 },
+      ],
+      costs: [
+        ...network.costs.map((row) => [...row, null]),
+        Array(k + 1).fill(null),
+      ],
+    });
+  }
+}
@@ -0,0 +1,84 @@
+// Arithmetic helpers shared by floating point and exact (Fraction) runs.
+// Plain numbers keep the EPSILON tolerance; as soon as a Fraction is
+// involved the operation is carried out exactly.
+
+import { EPSILON } from "../constants.js";
+import { Fraction } from "../models/fraction.js";
+
+function isExact(a, b) {
+  return a instanceof Fraction || b instanceof Fraction;
+}
+
+export function add(a, b) {
+  return isExact(a, b) ? Fraction.from(a).add(b) : a + b;
+}
+
+export function sub(a, b) {
+  return isExact(a, b) ? Fraction.from(a).sub(b) : a - b;
+}
+
+export function mul(a, b) {
+  return isExact(a, b) ? Fraction.from(a).mul(b) : a * b;
+}
+
+/**
+ * Returns -1, 0 or 1; floating point values closer than EPSILON are equal
+ */
+export function compare(a, b) {
+  if (isExact(a, b)) return Fraction.from(a).compare(b);
+  const diff = a - b;
+  if (Math.abs(diff) < EPSILON) return 0;
+  return diff < 0 ? -1 : 1;
+}
+
+export function isZero(value) {
+  return value instanceof Fraction ? value.isZero() : Math.abs(value) < EPSILON;
+}
+
+export function isPositive(value) {
+  return value instanceof Fraction ? value.sign() > 0 : value > EPSILON;
+}
+
+export function min(a, b) {
+  return compare(a, b) <= 0 ? a : b;
+}
+
+export function sum(values) {
+  return values.reduce((total, value) => add(total, value), 0);
+}
+
+/**
+ * Zero of the same kind as value (a Fraction when value is one)
+ */
+export function zeroLike(value) {
+  return value instanceof Fraction ? Fraction.from(0) : 0;
+}
+
+export function toNumber(value) {
+  return value instanceof Fraction ? value.toNumber() : value;
+}
+
+/**
+ * Converts every number of a problem to a Fraction for an exact run
+ * (forbidden routes, unlimited capacities and missing lower bounds stay null)
+ */
+export function toExactProblem({
+  costs,
+  supplies,
+  demands,
+  capacities,
+  lowerBounds,
+}) {
+  const toExact = (value) => (value === null ? null : Fraction.from(value));
+  return {
+    costs: costs.map((row) => row.map(toExact)),
+    supplies: supplies.map((supply) => Fraction.from(supply)),
+    demands: demands.map((demand) => Fraction.from(demand)),
+    ...(capacities && {
+      capacities: capacities.map((row) => row.map(toExact)),
+    }),
+    ...(lowerBounds && {
+      lowerBounds: lowerBounds.map((row) => row.map(toExact)),
+    }),
+  };
+}
@@ -0,0 +1,261 @@
+// Module for CSV problem files in the layout of the input table: one row per
+// supplier with its costs and a trailing supply, then a final demand row
+
+import { FORBIDDEN_MARK, isForbiddenMark } from "../core/forbiddenRoutes.js";
+import { OBJECTIVE_IDS } from "../core/methodDefinitions.js";
+import { toNumber } from "./arithmetic.js";
+import { readTextFile } from "./fileReader.js";
+
+// Tried in this order; commas are taken for delimiters only when nothing
+// else separates the cells, otherwise they are decimal commas
+const DELIMITERS = ["\t", ";", ","];
+
+// Delimiter of exported files, so that decimal points stay unambiguous
+const EXPORT_DELIMITER = ";";
+
+const NUMBER_PATTERN = /^[+-]?(\d+([.,]\d*)?|[.,]\d+)([eE][+-]?\d+)?$/;
+
+/**
+ * Splits a CSV line into cells; quoted cells may contain the delimiter and
+ * doubled quotes
+ */
+function splitLine(line, delimiter) {
+  const cells = [];
+  let cell = "";
+  let quoted = false;
+  for (let k = 0; k < line.length; k++) {
+    const char = line[k];
+    if (quoted) {
+      if (char === '"' && line[k + 1] === '"') {
+        cell += '"';
+        k++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      cells.push(cell.trim());
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+/**
+ * Drops the empty cells spreadsheets pad rows with
+ */
+function trimEmptyCells(cells) {
+  let length = cells.length;
+  while (length > 0 && cells[length - 1] === "") length--;
+  return cells.slice(0, length);
+}
+
+function detectDelimiter(line) {
+  const delimiter = DELIMITERS.find(
+    (candidate) => splitLine(line, candidate).length > 1
+  );
+  if (!delimiter) {
+    throw new Error(
+      "Row 1: costs and the supply must be separated by semicolons, tabs or commas."
+    );
+  }
+  return delimiter;
+}
+
+/**
+ * Parses a number written with a decimal point or a decimal comma
+ */
+function parseCell(text, row, column, meaning) {
+  const where = `Row ${row}, column ${column} (${meaning})`;
+  if (text === "") {
+    throw new Error(`${where}: the cell is empty.`);
+  }
+  const compact = text.replace(/\s/g, "");
+  if (!NUMBER_PATTERN.test(compact)) {
+    throw new Error(`${where}: "${text}" is not a number.`);
+  }
+  return Number(compact.replace(",", "."));
+}
+
+function formatCell(value) {
+  return String(toNumber(value));
+}
+
+export class CSVFileReader {
+  /**
+   * Reads a CSV file and returns TransportationData
+   */
+  static async readCSVFile(file) {
+    return CSVFileReader.parseCSV(await readTextFile(file));
+  }
+
+  /**
+   * Parses CSV text into TransportationData { costs, supplies, demands }.
+   * Forbidden routes may be written as X; the last cell of the demand row,
+   * under the supply column, may hold the totals and is ignored. Errors name
+   * the row and column that failed to parse.
+   */
+  static parseCSV(text) {
+    const lines = text
+      .replace(/^\uFEFF/, "")
+      .split(/\r?\n/)
+      .map((line, index) => ({ line, row: index + 1 }))
+      .filter(({ line }) => line.trim() !== "");
+    if (lines.length === 0) {
+      throw new Error("The CSV file is empty.");
+    }
+
+    const delimiter = detectDelimiter(lines[0].line);
+    const rows = lines
+      .map(({ line, row }) => ({
+        cells: trimEmptyCells(splitLine(line, delimiter)),
+        row,
+      }))
+      .filter(({ cells }) => cells.length > 0);
+    if (rows.length < 2) {
+      throw new Error(
+        "The CSV file needs at least one supplier row and the final demand row."
+      );
+    }
+
+    const n = rows[0].cells.length - 1;
+    if (n < 1) {
+      throw new Error(
+        `Row ${rows[0].row}: expected costs followed by a supply.`
+      );
+    }
+    const supplierRows = rows.slice(0, -1);
+    const demandRow = rows[rows.length - 1];
+
+    const costs = [];
+    const supplies = [];
+    supplierRows.forEach(({ cells, row }, i) => {
+      if (cells.length !== n + 1) {
+        throw new Error(
+          `Row ${row}: expected ${n} costs and a supply, found ${cells.length} cells.`
+        );
+      }
+      costs.push(
+        cells
+          .slice(0, n)
+          .map((cell, j) =>
+            isForbiddenMark(cell)
+              ? null
+              : parseCell(
+                  cell,
+                  row,
+                  j + 1,
+                  `cost of route (Supplier ${i + 1}, Consumer ${j + 1})`
+                )
+          )
+      );
+      supplies.push(
+        parseCell(cells[n], row, n + 1, `supply of Supplier ${i + 1}`)
+      );
+    });
+
+    const { cells, row } = demandRow;
+    if (cells.length < n) {
+      throw new Error(
+        `Row ${row}: the demand row must have ${n} demands, one under each cost column.`
+      );
+    }
+    const demands = cells
+      .slice(0, n)
+      .map((cell, j) =>
+        parseCell(cell, row, j + 1, `demand of Consumer ${j + 1}`)
+      );
+
+    return { costs, supplies, demands };
+  }
+}
+
+/**
+ * Parses a plan typed or pasted as CSV: one line per supplier with its
+ * shipments separated by tabs, semicolons or commas (or spaces when nothing
+ * else separates them). Empty cells and - stand for empty cells (null), and
+ * rows are padded with empty cells to the given number of columns. Errors
+ * name the row and column that failed to parse.
+ */
+export function parsePlanCSV(text, columns) {
+  const lines = text
+    .replace(/^\uFEFF/, "")
+    .split(/\r?\n/)
+    .map((line, index) => ({ line, row: index + 1 }))
+    .filter(({ line }) => line.trim() !== "");
+  if (lines.length === 0) {
+    throw new Error("Enter the plan: one line of shipments per supplier.");
+  }
+
+  const delimiter = DELIMITERS.find((candidate) =>
+    lines.some(({ line }) => splitLine(line, candidate).length > 1)
+  );
+  return lines.map(({ line, row }, i) => {
+    const cells = delimiter
+      ? splitLine(line, delimiter)
+      : line.trim().split(/\s+/);
+    if (cells.length > columns) {
+      throw new Error(
+        `Row ${row}: expected at most ${columns} shipments, found ${cells.length} cells.`
+      );
+    }
+    return [...cells, ...Array(columns - cells.length).fill("")].map(
+      (cell, j) =>
+        cell === "" || cell === "-"
+          ? null
+          : parseCell(
+              cell,
+              row,
+              j + 1,
+              `shipment of route (Supplier ${i + 1}, Consumer ${j + 1})`
+            )
+    );
+  });
+}
+
+/**
+ * CSV text of a transportation problem in the import layout
+ */
+export function formatProblemCSV({ costs, supplies, demands }) {
+  return [
+    ...costs.map((row, i) => [
+      ...row.map((cost) => (cost === null ? FORBIDDEN_MARK : formatCell(cost))),
+      formatCell(supplies[i]),
+    ]),
+    demands.map(formatCell),
+  ]
+    .map((cells) => cells.join(EXPORT_DELIMITER))
+    .join("\n");
+}
+
+/**
+ * CSV text of the plan of a solver result in the same layout (empty cells
+ * stay blank), followed by the total cost. The dummy row/column is left out.
+ */
+export function formatPlanCSV(result) {
+  const valueName =
+    result.objective === OBJECTIVE_IDS.MAXIMIZE ? "Total profit" : "Total cost";
+  const m = result.supplies.length - (result.isSupplyDummy ? 1 : 0);
+  const n = result.demands.length - (result.isDemandDummy ? 1 : 0);
+  return [
+    ...result.plan
+      .slice(0, m)
+      .map((row, i) => [
+        ...row
+          .slice(0, n)
+          .map((value) => (value === null ? "" : formatCell(value))),
+        formatCell(result.supplies[i]),
+      ]),
+    result.demands.slice(0, n).map(formatCell),
+    [],
+    [valueName, formatCell(result.totalCost)],
+  ]
+    .map((cells) => cells.join(EXPORT_DELIMITER))
+    .join("\n");
+}
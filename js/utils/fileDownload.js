@@ -0,0 +1,15 @@
+// Module for saving generated files from the browser
+
+/**
+ * Offers text to the user as a downloaded file
+ */
+export function downloadTextFile(fileName, text, type = "text/plain") {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
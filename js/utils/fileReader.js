@@ -1,51 +1,116 @@
 // Module for reading and parsing JSON files
 
+import { isForbiddenMark } from "../core/forbiddenRoutes.js";
+import { isTransshipmentNetwork } from "../core/transshipment.js";
+
+/**
+ * Reads the text of an uploaded file
+ */
+export function readTextFile(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (e) => resolve(e.target?.result);
+    reader.onerror = () => reject(new Error("Failed to read file"));
+    reader.readAsText(file);
+  });
+}
+
 export class JSONFileReader {
   /**
    * Reads a JSON file and returns TransportationData
    */
   static async readJSONFile(file) {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      reader.onload = (e) => {
-        try {
-          const text = e.target?.result;
-          const data = JSON.parse(text);
-
-          if (
-            !data.costs ||
-            !data.supplies ||
-            !data.demands ||
-            data.costs.length === 0
-          ) {
-            throw new Error(
-              "JSON must contain fields: costs (matrix), supplies (supply), demands (demand)."
-            );
-          }
-
-          // Validate structure
-          const m = data.supplies.length;
-          const n = data.demands.length;
-          if (
-            data.costs.length !== m ||
-            data.costs.some((row) => row.length !== n)
-          ) {
-            throw new Error(
-              "Cost matrix dimensions do not match supplies and demands sizes."
-            );
-          }
-
-          resolve({
-            costs: data.costs,
-            supplies: data.supplies,
-            demands: data.demands,
-          });
-        } catch (error) {
-          reject(error);
-        }
-      };
-      reader.onerror = () => reject(new Error("Failed to read file"));
-      reader.readAsText(file);
-    });
+    return JSONFileReader.parseJSON(await readTextFile(file));
+  }
+
+  /**
+   * Parses JSON text into TransportationData, checking its structure
+   */
+  static parseJSON(text) {
+    const data = JSON.parse(text);
+    if (isTransshipmentNetwork(data)) {
+      return JSONFileReader.parseNetwork(data);
+    }
+
+    if (
+      !data.costs ||
+      !data.supplies ||
+      !data.demands ||
+      data.costs.length === 0
+    ) {
+      throw new Error(
+        "JSON must contain fields: costs (matrix), supplies (supply), demands (demand)."
+      );
+    }
+
+    // Validate structure
+    const m = data.supplies.length;
+    const n = data.demands.length;
+    if (data.costs.length !== m || data.costs.some((row) => row.length !== n)) {
+      throw new Error(
+        "Cost matrix dimensions do not match supplies and demands sizes."
+      );
+    }
+
+    if (
+      data.capacities &&
+      (data.capacities.length !== m ||
+        data.capacities.some((row) => row.length !== n))
+    ) {
+      throw new Error(
+        "Capacity matrix dimensions do not match the cost matrix."
+      );
+    }
+
+    if (
+      data.lowerBounds &&
+      (data.lowerBounds.length !== m ||
+        data.lowerBounds.some((row) => row.length !== n))
+    ) {
+      throw new Error(
+        "Lower bound matrix dimensions do not match the cost matrix."
+      );
+    }
+
+    // Forbidden routes may be written as null or "X"
+    return {
+      costs: data.costs.map((row) =>
+        row.map((cost) => (isForbiddenMark(cost) ? null : cost))
+      ),
+      supplies: data.supplies,
+      demands: data.demands,
+      // Optional route capacities, null = unlimited
+      ...(data.capacities && { capacities: data.capacities }),
+      // Optional minimum shipments, null = none
+      ...(data.lowerBounds && { lowerBounds: data.lowerBounds }),
+      // "minimize" (costs) or "maximize" (profits)
+      ...(data.objective && { objective: data.objective }),
+    };
+  }
+
+  /**
+   * Normalizes a transshipment network { nodes, costs }; missing routes may
+   * be written as null or "X"
+   */
+  static parseNetwork(data) {
+    if (!data.costs || data.nodes.length === 0) {
+      throw new Error(
+        "Transshipment JSON must contain fields: nodes (list) and costs (node-to-node matrix)."
+      );
+    }
+
+    const k = data.nodes.length;
+    if (data.costs.length !== k || data.costs.some((row) => row.length !== k)) {
+      throw new Error(
+        "Node-to-node cost matrix must have one row and one column per node."
+      );
+    }
+
+    return {
+      nodes: data.nodes.map((node) => ({ ...node })),
+      costs: data.costs.map((row) =>
+        row.map((cost) => (isForbiddenMark(cost) ? null : cost))
+      ),
+    };
   }
 }
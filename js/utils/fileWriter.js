@@ -0,0 +1,77 @@
+// Module for saving problems and solutions as JSON files the loader reads back
+
+import { FORBIDDEN_MARK } from "../core/forbiddenRoutes.js";
+import { toNumber } from "./arithmetic.js";
+
+/**
+ * Forbidden routes are written as X, like in the sample files
+ */
+function withForbiddenMarks(costs) {
+  return costs.map((row) =>
+    row.map((cost) => (cost === null ? FORBIDDEN_MARK : cost))
+  );
+}
+
+/**
+ * Indented JSON with every array of plain values on one line, the way the
+ * sample files write matrix rows
+ */
+function stringify(data) {
+  return JSON.stringify(data, null, 2).replace(
+    /\[\s+([^[\]{}]*?)\s+\]/g,
+    (_, values) => `[${values.split(/,\s+/).join(", ")}]`
+  );
+}
+
+function toNumbers(values) {
+  return values.map((value) =>
+    Array.isArray(value)
+      ? toNumbers(value)
+      : value === null
+      ? null
+      : toNumber(value)
+  );
+}
+
+export class JSONFileWriter {
+  /**
+   * JSON text of TransportationData (with its optional route bounds and
+   * objective) or of a transshipment network { nodes, costs }
+   */
+  static problemToJSON(problem) {
+    return stringify({
+      ...problem,
+      costs: withForbiddenMarks(problem.costs),
+    });
+  }
+
+  /**
+   * JSON text of a solved transportation problem: the problem as the loader
+   * reads it plus solution { method, status, plan, totalCost, potentials }.
+   * The plan covers the routes of the problem (the dummy row/column is left
+   * out, null = empty cell); the potentials are those of the solver or, for
+   * methods without potentials, those of the independent verification.
+   * Exact fractions are written as numbers.
+   */
+  static solutionToJSON(problem, result) {
+    const m = problem.supplies.length;
+    const n = problem.demands.length;
+    const potentials = result.potentials ?? result.verification?.potentials;
+    return stringify({
+      ...problem,
+      costs: withForbiddenMarks(problem.costs),
+      solution: {
+        method: result.method,
+        status: result.status,
+        plan: toNumbers(result.plan.slice(0, m).map((row) => row.slice(0, n))),
+        totalCost: toNumber(result.totalCost),
+        potentials: potentials
+          ? {
+              u: toNumbers(potentials.u.slice(0, m)),
+              v: toNumbers(potentials.v.slice(0, n)),
+            }
+          : null,
+      },
+    });
+  }
+}
@@ -0,0 +1,19 @@
+// Formatting of plain numbers and exact fractions for display
+
+import { Fraction } from "../models/fraction.js";
+
+/**
+ * Fixed-point text for numbers; fractions are always shown exactly
+ */
+export function formatNumber(value, digits = 2) {
+  if (value instanceof Fraction) return value.toString();
+  return value.toFixed(digits);
+}
+
+/**
+ * Like formatNumber but without trailing zeros (12.50 -> 12.5)
+ */
+export function formatCompact(value, digits = 2) {
+  if (value instanceof Fraction) return value.toString();
+  return parseFloat(value.toFixed(digits)).toString();
+}
@@ -1,6 +1,7 @@
 // Module for validating input data
 
 import { EPSILON } from '../constants.js';
+import { NODE_TYPE_IDS, OBJECTIVE_IDS } from '../core/methodDefinitions.js';
 
 export class Validator {
   /**
@@ -15,6 +16,12 @@ export class Validator {
       return 'Missing required fields: costs, supplies, or demands';
     }
 
+    if (data.objective !== undefined && !Object.values(OBJECTIVE_IDS).includes(data.objective)) {
+      return `Objective must be one of: ${Object.values(OBJECTIVE_IDS).join(', ')}`;
+    }
+    // Profits to maximize may be negative (loss-making routes)
+    const isProfit = data.objective === OBJECTIVE_IDS.MAXIMIZE;
+
     const m = data.supplies.length;
     const n = data.demands.length;
 
@@ -29,8 +36,50 @@ export class Validator {
 
       for (let j = 0; j < n; j++) {
         const cost = data.costs[i][j];
-        if (isNaN(cost) || cost < 0) {
-          return `Cost at row ${i + 1}, column ${j + 1} must be a non-negative number`;
+        if (cost === null) continue; // Forbidden route
+        if (isNaN(cost) || (!isProfit && cost < 0)) {
+          return isProfit
+            ? `Profit at row ${i + 1}, column ${j + 1} must be a number or a forbidden route (null)`
+            : `Cost at row ${i + 1}, column ${j + 1} must be a non-negative number or a forbidden route (null)`;
+        }
+      }
+    }
+
+    if (data.capacities) {
+      if (data.capacities.length !== m || data.capacities.some((row) => row.length !== n)) {
+        return 'Capacity matrix must have the same size as the cost matrix';
+      }
+
+      for (let i = 0; i < m; i++) {
+        for (let j = 0; j < n; j++) {
+          const capacity = data.capacities[i][j];
+          if (capacity === null) continue; // Unlimited route
+          if (isNaN(capacity) || capacity < 0) {
+            return `Capacity at row ${i + 1}, column ${j + 1} must be a non-negative number or unlimited (null)`;
+          }
+        }
+      }
+    }
+
+    if (data.lowerBounds) {
+      if (data.lowerBounds.length !== m || data.lowerBounds.some((row) => row.length !== n)) {
+        return 'Lower bound matrix must have the same size as the cost matrix';
+      }
+
+      for (let i = 0; i < m; i++) {
+        for (let j = 0; j < n; j++) {
+          const bound = data.lowerBounds[i][j];
+          if (bound === null) continue; // No minimum shipment
+          if (isNaN(bound) || bound < 0) {
+            return `Minimum shipment at row ${i + 1}, column ${j + 1} must be a non-negative number or none (null)`;
+          }
+          if (bound > 0 && data.costs[i][j] === null) {
+            return `Route at row ${i + 1}, column ${j + 1} is forbidden but has a minimum shipment`;
+          }
+          const capacity = data.capacities?.[i][j] ?? null;
+          if (capacity !== null && bound > capacity) {
+            return `Minimum shipment at row ${i + 1}, column ${j + 1} exceeds the route capacity`;
+          }
         }
       }
     }
@@ -52,6 +101,78 @@ export class Validator {
     return null; // No errors
   }
 
+  /**
+   * Validates a transshipment network: nodes [{ name, type, amount, buffer }]
+   * and a square matrix of node-to-node costs (null = no route)
+   */
+  static validateTransshipment(network) {
+    if (!network || !Array.isArray(network.nodes) || !network.costs) {
+      return 'Missing required fields: nodes or costs';
+    }
+
+    const { nodes, costs } = network;
+    const k = nodes.length;
+    const types = Object.values(NODE_TYPE_IDS);
+
+    for (let i = 0; i < k; i++) {
+      const { type, amount, buffer } = nodes[i];
+      if (!types.includes(type)) {
+        return `Node ${i + 1} type must be one of: ${types.join(', ')}`;
+      }
+      if (type === NODE_TYPE_IDS.TRANSSHIPMENT) {
+        if (buffer !== undefined && buffer !== null && (isNaN(buffer) || buffer < 0)) {
+          return `Buffer of node ${i + 1} must be a non-negative number`;
+        }
+      } else if (isNaN(amount) || amount < 0) {
+        return type === NODE_TYPE_IDS.SOURCE
+          ? `Supply of node ${i + 1} must be a non-negative number`
+          : `Demand of node ${i + 1} must be a non-negative number`;
+      }
+    }
+
+    if (!nodes.some((node) => node.type === NODE_TYPE_IDS.SOURCE)) {
+      return 'The network needs at least one source';
+    }
+    if (!nodes.some((node) => node.type === NODE_TYPE_IDS.SINK)) {
+      return 'The network needs at least one sink';
+    }
+
+    if (costs.length !== k || costs.some((row) => row.length !== k)) {
+      return `Cost matrix must be ${k} x ${k}, one row and column per node`;
+    }
+
+    for (let i = 0; i < k; i++) {
+      for (let j = 0; j < k; j++) {
+        const cost = costs[i][j];
+        if (i === j || cost === null) continue; // No route
+        if (isNaN(cost) || cost < 0) {
+          return `Cost from node ${i + 1} to node ${j + 1} must be a non-negative number or no route (null)`;
+        }
+        // The transportation table has no row for a sink and no column for a source
+        if (nodes[i].type === NODE_TYPE_IDS.SINK) {
+          return `Route from node ${i + 1} to node ${j + 1} leaves a sink: nothing can be shipped out of a sink`;
+        }
+        if (nodes[j].type === NODE_TYPE_IDS.SOURCE) {
+          return `Route from node ${i + 1} to node ${j + 1} enters a source: nothing can be shipped into a source`;
+        }
+      }
+    }
+
+    return null; // No errors
+  }
+
+  /**
+   * Validates an assignment problem: every supply and demand must be 1
+   */
+  static validateAssignment(data) {
+    const isUnit = (value) => Math.abs(value - 1) < EPSILON;
+    if (!data.supplies.every(isUnit) || !data.demands.every(isUnit)) {
+      return 'The Hungarian method solves assignment problems only: every supply and demand must be 1';
+    }
+
+    return null; // No errors
+  }
+
   /**
    * Validates a single numeric input value
    */
@@ -0,0 +1,23 @@
+// Web Worker that solves off the UI thread: streams the trace entries and
+// throttled progress reports back to the page, then the result
+
+import { runSolveRequest } from "../core/solveRequest.js";
+import { PROGRESS_INTERVAL_MS } from "../constants.js";
+
+self.onmessage = ({ data: request }) => {
+  let lastProgress = 0;
+  try {
+    const result = runSolveRequest(request, {
+      onEntry: (entry) => self.postMessage({ type: "entry", entry }),
+      onProgress: (progress) => {
+        const now = Date.now();
+        if (now - lastProgress < PROGRESS_INTERVAL_MS) return;
+        lastProgress = now;
+        self.postMessage({ type: "progress", progress });
+      },
+    });
+    self.postMessage({ type: "done", result });
+  } catch (error) {
+    self.postMessage({ type: "error", message: error.message });
+  }
+};